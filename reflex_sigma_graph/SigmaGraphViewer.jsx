@@ -1,9 +1,17 @@
 import React, { useEffect, useState, useMemo, useRef, useCallback } from 'react';
-import { SigmaContainer, useLoadGraph, ControlsContainer, ZoomControl, FullScreenControl, useSigma, useRegisterEvents, useSetSettings } from '@react-sigma/core';
 import Graph from 'graphology';
+import { SigmaContainer, ControlsContainer, ZoomControl, FullScreenControl, useSigma, useRegisterEvents, useSetSettings } from '@react-sigma/core';
 import forceAtlas2 from 'graphology-layout-forceatlas2';
+import FA2Layout from 'graphology-layout-forceatlas2/worker';
 import noverlap from 'graphology-layout-noverlap';
+import NoverlapLayout from 'graphology-layout-noverlap/worker';
 import { bidirectional } from 'graphology-shortest-path';
+import louvain from 'graphology-communities-louvain';
+import pagerank from 'graphology-metrics/centrality/pagerank';
+import betweennessCentrality from 'graphology-metrics/centrality/betweenness';
+import closenessCentrality from 'graphology-metrics/centrality/closeness';
+import { animateNodes } from 'sigma/utils';
+import { drawDiscNodeHover } from 'sigma/rendering';
 import EdgeCurveProgram from '@sigma/edge-curve';
 import '@react-sigma/core/lib/style.css';
 
@@ -51,1601 +59,5726 @@ const customStyles = `
   .react-sigma-control:disabled {
     cursor: not-allowed !important;
   }
+
+  /* Buttons don't inherit text color - keep control icons on the theme color */
+  button.react-sigma-control,
+  .react-sigma-control > button {
+    color: var(--sigma-controls-color);
+  }
 `;
 
 /**
- * Simple circular layout - positions nodes in a circle
+ * Built-in color palettes for the theme prop
+ *
+ * One palette drives the canvas (background, default node/edge colors, labels),
+ * the highlight reducers and every overlay (tooltips, modals, controls).
+ * custom_theme overrides any of these keys (snake_case keys are accepted too).
  */
-function circularLayout(graph) {
-    const nodes = graph.nodes();
-    const n = nodes.length;
-    const radius = Math.max(100, n * 10); // Scale radius with number of nodes
-
-    nodes.forEach((node, i) => {
-        const angle = (2 * Math.PI * i) / n;
-        graph.setNodeAttribute(node, 'x', radius * Math.cos(angle));
-        graph.setNodeAttribute(node, 'y', radius * Math.sin(angle));
-    });
-}
+const THEMES = {
+    light: {
+        background: '#ffffff',
+        nodeColor: '#999999',
+        edgeColor: '#cccccc',
+        labelColor: '#000000',
+        edgeLabelColor: '#444444',
+        hoverLabelColor: '#000000',
+        highlightBorderColor: '#000000',
+        dimmedNodeColor: '#e2e2e2',
+        selectionColor: '#2563eb',
+        pathColor: '#f97316',
+        pathStartColor: '#10b981',
+        pathEndColor: '#ef4444',
+        controlsBackground: '#ffffff',
+        controlsColor: '#000000',
+        overlayBackground: 'rgba(255, 255, 255, 0.97)',
+        overlayText: '#111827',
+        overlayTextSecondary: '#374151',
+        overlayMuted: '#6b7280',
+        overlayAccent: '#0e7490',
+        overlayBorder: 'rgba(0, 0, 0, 0.12)',
+        overlayShadow: 'rgba(0, 0, 0, 0.15)',
+        overlayPanel: 'rgba(0, 0, 0, 0.04)',
+        modalBackground: '#ffffff',
+        modalBackdrop: 'rgba(0, 0, 0, 0.4)',
+        primaryColor: '#6366f1',
+        primarySoft: 'rgba(99, 102, 241, 0.12)',
+        sourceColor: '#16a34a',
+        targetColor: '#dc2626',
+        warningColor: '#b45309',
+        warningSoft: 'rgba(251, 191, 36, 0.15)',
+    },
+    dark: {
+        background: '#111827',
+        nodeColor: '#9ca3af',
+        edgeColor: '#4b5563',
+        labelColor: '#e5e7eb',
+        edgeLabelColor: '#d1d5db',
+        hoverLabelColor: '#000000',
+        highlightBorderColor: '#ffffff',
+        dimmedNodeColor: '#374151',
+        selectionColor: '#60a5fa',
+        pathColor: '#fb923c',
+        pathStartColor: '#34d399',
+        pathEndColor: '#f87171',
+        controlsBackground: '#1f2937',
+        controlsColor: '#e5e7eb',
+        overlayBackground: 'rgba(0, 0, 0, 0.9)',
+        overlayText: '#ffffff',
+        overlayTextSecondary: '#e0e0e0',
+        overlayMuted: '#888888',
+        overlayAccent: '#a8dadc',
+        overlayBorder: 'rgba(255, 255, 255, 0.12)',
+        overlayShadow: 'rgba(0, 0, 0, 0.4)',
+        overlayPanel: 'rgba(255, 255, 255, 0.05)',
+        modalBackground: 'rgba(20, 20, 30, 0.98)',
+        modalBackdrop: 'rgba(0, 0, 0, 0.7)',
+        primaryColor: '#6366f1',
+        primarySoft: 'rgba(100, 100, 255, 0.15)',
+        sourceColor: '#4ade80',
+        targetColor: '#f87171',
+        warningColor: '#fbbf24',
+        warningSoft: 'rgba(251, 191, 36, 0.1)',
+    },
+};
 
 /**
- * Simple random layout - positions nodes randomly
+ * Convert a snake_case key coming from Python to camelCase ("label_color" -> "labelColor")
  */
-function randomLayout(graph) {
-    graph.forEachNode((node) => {
-        graph.setNodeAttribute(node, 'x', (Math.random() - 0.5) * 1000);
-        graph.setNodeAttribute(node, 'y', (Math.random() - 0.5) * 1000);
-    });
+function toCamelCase(key) {
+    return key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
 }
 
 /**
- * Apply selected layout algorithm to graph with anti-collision
+ * Resolve the theme and custom_theme props into a full palette
+ *
+ * - "light" / "dark": built-in palettes
+ * - "auto": light or dark following the browser's prefers-color-scheme
+ * - "custom": custom_theme on top of the palette named by custom_theme.base
+ *   ("light" by default, "dark" or "auto")
  *
- * Uses ForceAtlas2 for initial layout with improved spacing settings,
- * then applies Noverlap to remove any remaining node overlaps.
+ * @param {string} theme - theme prop
+ * @param {Object} customTheme - custom_theme prop
+ * @param {boolean} prefersDark - Whether the browser asks for a dark color scheme
+ * @returns {Object} Palette with every key of THEMES.light
  */
-function applyLayout(graph, layoutType) {
-    if (!graph || graph.order === 0) return;
-
-    console.log(`Applying layout: ${layoutType}`);
-
-    switch (layoutType) {
-        case 'forceAtlas2':
-            // Apply ForceAtlas2 with optimized settings for better spacing
-            forceAtlas2.assign(graph, {
-                iterations: 100,
-                settings: {
-                    // Increase repulsion for more spacing between nodes
-                    scalingRatio: 50,
-
-                    // Reduce gravity to let nodes spread out more
-                    gravity: 0.05,
-
-                    // Use edge weights for layout
-                    edgeWeightInfluence: 1,
-
-                    // Use Barnes-Hut optimization for large graphs
-                    barnesHutOptimize: true,
-                    barnesHutTheta: 0.5,
-
-                    // Enable strong gravity mode
-                    strongGravityMode: true,
-                }
-            });
-            console.log('Applied ForceAtlas2 layout with improved spacing');
+function resolveTheme(theme, customTheme, prefersDark) {
+    const pickBase = (name) => {
+        if (name === 'auto') return prefersDark ? THEMES.dark : THEMES.light;
+        return THEMES[name] || null;
+    };
 
-            // Apply Noverlap to remove any remaining overlaps
-            noverlap.assign(graph, {
-                maxIterations: 200,
-                ratio: 10,     // Node spacing ratio
-                margin: 200,   // Minimum margin between nodes
-            });
-            console.log('Applied Noverlap anti-collision');
-            break;
+    if (theme !== 'custom') {
+        const palette = pickBase(theme);
+        if (palette) return palette;
+        console.warn(`Unknown theme "${theme}", using "light"`);
+        return THEMES.light;
+    }
 
-        case 'circular':
-            // Arrange nodes in a circle
-            circularLayout(graph);
-            console.log('Applied circular layout');
-            break;
+    const { base = 'light', ...overrides } = customTheme || {};
+    const palette = { ...(pickBase(base) || THEMES.light) };
 
-        case 'random':
-            // Random positioning
-            randomLayout(graph);
-            console.log('Applied random layout');
-            break;
+    Object.entries(overrides).forEach(([key, value]) => {
+        // Python callers usually write snake_case keys
+        const name = toCamelCase(key);
+        if (!(name in palette)) {
+            console.warn(`custom_theme: ignoring unknown color "${key}"`);
+            return;
+        }
+        palette[name] = value;
+    });
 
-        default:
-            console.warn(`Unknown layout type: ${layoutType}`);
-            // Default to ForceAtlas2 + Noverlap
-            forceAtlas2.assign(graph, {
-                iterations: 100,
-                settings: {
-                    scalingRatio: 50,
-                    gravity: 0.05,
-                    edgeWeightInfluence: 1,
-                    barnesHutOptimize: true,
-                    barnesHutTheta: 0.5,
-                    strongGravityMode: true,
-                }
-            });
-            noverlap.assign(graph, {
-                maxIterations: 200,
-                ratio: 10,
-                margin: 200,
-            });
-    }
+    return palette;
 }
 
 /**
- * Node Reducer for Search/Filter Highlighting
- * Implements client-side search that highlights matching nodes
+ * Track the browser's prefers-color-scheme media query (for theme="auto")
+ *
+ * @returns {boolean} true while the user prefers a dark color scheme
  */
-function SearchNodeReducer({ searchQuery, showNodeLabels }) {
-    const sigma = useSigma();
-    const setSettings = useSetSettings();
-    const graph = sigma.getGraph();
-
-    useEffect(() => {
-        // Update node rendering based on search query
-        const normalizedQuery = searchQuery.toLowerCase().trim();
-
-        if (!normalizedQuery) {
-            // No search - show all nodes normally
-            graph.forEachNode((node) => {
-                graph.setNodeAttribute(node, 'hidden', false);
-                graph.setNodeAttribute(node, 'highlighted', false);
-            });
-        } else {
-            // Search active - highlight matches, grey out non-matches
-            graph.forEachNode((node) => {
-                const attrs = graph.getNodeAttributes(node);
-                const label = (attrs.label || '').toLowerCase();
-                const nodeType = (attrs.nodeType || '').toLowerCase();
-                const entityType = (attrs.entity_type || '').toLowerCase();
-
-                // Check if node matches search query
-                const matches = label.includes(normalizedQuery) ||
-                    nodeType.includes(normalizedQuery) ||
-                    entityType.includes(normalizedQuery);
-
-                if (matches) {
-                    // Highlight matching nodes
-                    graph.setNodeAttribute(node, 'highlighted', true);
-                    graph.setNodeAttribute(node, 'hidden', false);
-                } else {
-                    // Grey out non-matching nodes
-                    graph.setNodeAttribute(node, 'highlighted', false);
-                    graph.setNodeAttribute(node, 'hidden', false);
-                    // Optionally hide non-matches:
-                    // graph.setNodeAttribute(node, 'hidden', true);
-                }
-            });
-        }
-
-        // Update label visibility based on showNodeLabels prop
-        setSettings({
-            renderLabels: showNodeLabels,
-        });
-    }, [searchQuery, showNodeLabels, graph, setSettings]);
+function usePrefersDarkScheme() {
+    const query = '(prefers-color-scheme: dark)';
+    const [prefersDark, setPrefersDark] = useState(
+        () => typeof window !== 'undefined' && typeof window.matchMedia === 'function' && window.matchMedia(query).matches
+    );
 
-    // Add node reducer for visual styling based on highlighted state
     useEffect(() => {
-        const nodeReducer = (node, data) => {
-            const res = { ...data };
-
-            if (data.highlighted) {
-                // Highlighted nodes (being dragged or hovered) - make them stand out
-                res.size = data.size * 1.5;
-                res.borderColor = '#000';
-                res.borderSize = 2;
-            } else if (searchQuery.trim()) {
-                // Non-highlighted during search - make them subtle
-                res.color = '#ccc';
-                res.size = data.size * 0.7;
-            }
-
-            return res;
-        };
+        if (typeof window.matchMedia !== 'function') return;
 
-        sigma.setSetting('nodeReducer', nodeReducer);
+        const mediaQuery = window.matchMedia(query);
+        const handleChange = (e) => setPrefersDark(e.matches);
 
-        // Cleanup
+        setPrefersDark(mediaQuery.matches);
+        mediaQuery.addEventListener('change', handleChange);
         return () => {
-            sigma.setSetting('nodeReducer', null);
+            mediaQuery.removeEventListener('change', handleChange);
         };
-    }, [searchQuery, sigma]);
+    }, []);
 
-    return null;
+    return prefersDark;
 }
 
 /**
- * Force Atlas 2 Layout Controller
- * Manages continuous Force Atlas 2 layout simulation
+ * Validators shared by the option props (layout_settings, path_options...)
  */
-function ForceAtlas2Controller({ layoutRunning }) {
-    const sigma = useSigma();
-    const graph = sigma.getGraph();
-    const intervalRef = useRef(null);
+const SETTING_VALIDATORS = {
+    boolean: {
+        description: 'a boolean',
+        isValid: value => typeof value === 'boolean',
+    },
+    positive: {
+        description: 'a positive number',
+        isValid: value => typeof value === 'number' && Number.isFinite(value) && value > 0,
+    },
+    nonNegative: {
+        description: 'a number >= 0',
+        isValid: value => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+    },
+    positiveInteger: {
+        description: 'a positive integer',
+        isValid: value => Number.isInteger(value) && value > 0,
+    },
+    direction: {
+        description: 'one of "TB", "BT", "LR", "RL"',
+        isValid: value => ['TB', 'BT', 'LR', 'RL'].includes(value),
+    },
+};
 
-    useEffect(() => {
-        if (layoutRunning) {
-            console.log('Starting Force Atlas 2 layout');
-
-            // Configure Force Atlas 2 settings
-            const settings = {
-                iterations: 10,  // Iterations per frame
-                settings: {
-                    gravity: 1,
-                    scalingRatio: 10,
-                    strongGravityMode: false,
-                    barnesHutOptimize: graph.order > 100,  // Use Barnes-Hut for large graphs
-                }
-            };
+/**
+ * Tunable settings per layout type (layout_settings prop) and the validator for each
+ */
+const LAYOUT_SETTINGS_SCHEMA = {
+    forceAtlas2: {
+        iterations: SETTING_VALIDATORS.positiveInteger,
+        scalingRatio: SETTING_VALIDATORS.positive,
+        gravity: SETTING_VALIDATORS.nonNegative,
+        strongGravityMode: SETTING_VALIDATORS.boolean,
+        barnesHutOptimize: SETTING_VALIDATORS.boolean,
+        barnesHutTheta: SETTING_VALIDATORS.positive,
+        edgeWeightInfluence: SETTING_VALIDATORS.nonNegative,
+        linLogMode: SETTING_VALIDATORS.boolean,
+        outboundAttractionDistribution: SETTING_VALIDATORS.boolean,
+        adjustSizes: SETTING_VALIDATORS.boolean,
+        slowDown: SETTING_VALIDATORS.positive,
+    },
+    noverlap: {
+        maxIterations: SETTING_VALIDATORS.positiveInteger,
+        ratio: SETTING_VALIDATORS.positive,
+        margin: SETTING_VALIDATORS.nonNegative,
+        expansion: SETTING_VALIDATORS.positive,
+        gridSize: SETTING_VALIDATORS.positiveInteger,
+        speed: SETTING_VALIDATORS.positive,
+    },
+    circular: {
+        radius: SETTING_VALIDATORS.positive,
+    },
+    random: {
+        scale: SETTING_VALIDATORS.positive,
+    },
+    hierarchical: {
+        direction: SETTING_VALIDATORS.direction,
+        layerSpacing: SETTING_VALIDATORS.positive,
+        nodeSpacing: SETTING_VALIDATORS.positive,
+        crossingIterations: SETTING_VALIDATORS.positiveInteger,
+    },
+    radial: {
+        ringSpacing: SETTING_VALIDATORS.positive,
+        nodeSpacing: SETTING_VALIDATORS.positive,
+    },
+};
 
-            // Run layout in intervals
-            intervalRef.current = setInterval(() => {
-                forceAtlas2.assign(graph, settings);
-                sigma.refresh();
-            }, 100);  // Update every 100ms
+/**
+ * Default layout settings scaled to the size and density of the graph
+ *
+ * Sparse graphs (average degree < 2) need less repulsion to stay compact, dense
+ * graphs (average degree > 6) need more to untangle. Noverlap margins shrink as
+ * the node count grows so big graphs don't explode off-screen.
+ *
+ * @param {Graph} graph - Graph about to be laid out
+ * @returns {Object} Settings for every layout type
+ */
+function getDefaultLayoutSettings(graph) {
+    const order = graph.order;
+    const averageDegree = order > 0 ? (2 * graph.size) / order : 0;
+
+    let scalingRatio = 50;
+    if (averageDegree < 2) scalingRatio = 30;
+    else if (averageDegree > 6) scalingRatio = 80;
+
+    let margin = 200;
+    if (order > 1000) margin = 20;
+    else if (order > 200) margin = 100;
+
+    return {
+        forceAtlas2: {
+            iterations: 100,
+            scalingRatio,
+            gravity: 0.05,
+            strongGravityMode: true,
+            edgeWeightInfluence: 1,
+            barnesHutOptimize: order > 100,  // Use Barnes-Hut for large graphs
+            barnesHutTheta: 0.5,
+        },
+        noverlap: {
+            maxIterations: 200,
+            ratio: 10,
+            margin,
+        },
+        circular: {
+            radius: Math.max(100, order * 10),  // Scale radius with number of nodes
+        },
+        random: {
+            scale: 1000,
+        },
+        hierarchical: {
+            direction: 'TB',
+            layerSpacing: 150,
+            nodeSpacing: 100,
+            crossingIterations: order > 2000 ? 4 : 12,
+        },
+        radial: {
+            ringSpacing: 150,
+            nodeSpacing: 60,
+        },
+    };
+}
+
+/**
+ * Merge option overrides from Python over their defaults
+ *
+ * Keys may be snake_case or camelCase; unknown keys and invalid values are
+ * ignored with a console warning.
+ *
+ * @param {Object} defaults - Default value of every option
+ * @param {Object} validators - Validator of every option ({description, isValid})
+ * @param {Object} config - Overrides from Python
+ * @param {string} label - Prop name used in warnings, e.g. "path_options"
+ * @returns {Object} defaults with the valid overrides applied
+ */
+function resolveOptions(defaults, validators, config, label) {
+    const resolved = { ...defaults };
+
+    Object.entries(config || {}).forEach(([key, value]) => {
+        const name = toCamelCase(key);
+        const validator = validators[name];
+        if (!validator) {
+            console.warn(`${label}: unknown option "${key}"`);
+        } else if (!validator.isValid(value)) {
+            console.warn(`${label}.${key} should be ${validator.description}, got:`, value);
         } else {
-            // Stop layout
-            if (intervalRef.current) {
-                console.log('Stopping Force Atlas 2 layout');
-                clearInterval(intervalRef.current);
-                intervalRef.current = null;
-            }
+            resolved[name] = value;
         }
+    });
 
-        // Cleanup on unmount
-        return () => {
-            if (intervalRef.current) {
-                clearInterval(intervalRef.current);
-            }
-        };
-    }, [layoutRunning, graph, sigma]);
-
-    return null;
+    return resolved;
 }
 
 /**
- * Text Formatting Helper
- * Processes text for tooltip display with line breaks and truncation
+ * Merge the layout_settings prop over the size-based defaults
  *
- * @param {string} text - Text to format
- * @param {number} maxLength - Maximum character length per line
- * @returns {string[]} Array of lines to render
+ * Unknown layout types, unknown settings and invalid values are reported with a
+ * console warning and ignored, so a typo in Python never breaks the layout.
+ *
+ * @param {Graph} graph - Graph about to be laid out
+ * @param {Object} layoutSettings - layout_settings prop, e.g. {forceAtlas2: {gravity: 1}}
+ * @returns {Object} Validated settings for every layout type
  */
-function formatTooltipText(text, maxLength = 300) {
-    if (!text) return [];
+function resolveLayoutSettings(graph, layoutSettings) {
+    const resolved = getDefaultLayoutSettings(graph);
 
-    // Split on <sep> or <SEP> tag (case-insensitive) to create line breaks
-    const lines = text.split(/<sep>/i).map(line => line.trim()).filter(line => line.length > 0);
-
-    // Truncate each line if it exceeds maxLength
-    return lines.map(line => {
-        if (line.length > maxLength) {
-            return line.substring(0, maxLength) + '...';
+    Object.entries(layoutSettings || {}).forEach(([layoutType, overrides]) => {
+        const schema = LAYOUT_SETTINGS_SCHEMA[layoutType];
+        if (!schema) {
+            console.warn(`layout_settings: unknown layout type "${layoutType}"`);
+            return;
         }
-        return line;
+        if (!overrides || typeof overrides !== 'object') {
+            console.warn(`layout_settings.${layoutType} should be a dict of settings`);
+            return;
+        }
+
+        resolved[layoutType] = resolveOptions(resolved[layoutType], schema, overrides, `layout_settings.${layoutType}`);
     });
+
+    return resolved;
 }
 
 /**
- * Truncate text with ellipsis if it exceeds max length
+ * Simple circular layout - positions nodes in a circle
+ */
+function circularLayout(graph, { radius }) {
+    const nodes = graph.nodes();
+    const n = nodes.length;
+
+    nodes.forEach((node, i) => {
+        const angle = (2 * Math.PI * i) / n;
+        graph.setNodeAttribute(node, 'x', radius * Math.cos(angle));
+        graph.setNodeAttribute(node, 'y', radius * Math.sin(angle));
+    });
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
  *
- * @param {string} text - Text to truncate
- * @param {number} maxLength - Maximum character length
- * @returns {string} Truncated text with ellipsis if needed
+ * @returns {number} Unsigned 32-bit hash
  */
-function truncateText(text, maxLength) {
-    if (!text || text.length <= maxLength) return text;
-    return text.substring(0, maxLength) + '...';
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
 }
 
 /**
- * Node Hover Handler Component
- * Shows tooltips with enhanced node information on hover
+ * Random number source for layouts
  *
- * Displays: entity name (label), entity type, and description if available
- * Supports line breaks via <sep> tag and automatic text truncation
+ * Without a seed this is Math.random. With one (the layout_seed prop), every
+ * seed/key pair gets its own mulberry32 stream, so a node always lands in the
+ * same place for the same seed - regardless of node order or other nodes.
+ *
+ * @param {string|number|null} seed - Layout seed, empty for non-deterministic placement
+ * @param {string} key - Stream identifier, usually the node id
+ * @returns {Function} Generator returning floats in [0, 1)
  */
-function NodeHoverHandler() {
-    const sigma = useSigma();
-    const registerEvents = useRegisterEvents();
-    const [hoveredNode, setHoveredNode] = useState(null);
-    const [tooltipPosition, setTooltipPosition] = useState({ x: 0, y: 0 });
+function createRandom(seed, key) {
+    if (seed === undefined || seed === null || seed === '') return Math.random;
+
+    let state = hashString(`${seed}:${key}`);
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
-    useEffect(() => {
-        const unregister = registerEvents({
-            enterNode: (e) => {
-                setHoveredNode(e.node);
-                sigma.getGraph().setNodeAttribute(e.node, 'highlighted', true);
-            },
-            leaveNode: (e) => {
-                setHoveredNode(null);
-                // Only remove highlight if not from search
-                const attrs = sigma.getGraph().getNodeAttributes(e.node);
-                if (!attrs.searchHighlighted) {
-                    sigma.getGraph().removeNodeAttribute(e.node, 'highlighted');
-                }
-            },
-        });
+/**
+ * Simple random layout - positions nodes randomly (reproducibly when seeded)
+ */
+function randomLayout(graph, { scale }, seed = null) {
+    graph.forEachNode((node) => {
+        // Own stream per layout, so the random layout is not just a scaled copy of the initial scatter
+        const random = createRandom(seed, `random-layout:${node}`);
+        graph.setNodeAttribute(node, 'x', (random() - 0.5) * scale);
+        graph.setNodeAttribute(node, 'y', (random() - 0.5) * scale);
+    });
+}
 
-        return unregister;
-    }, [sigma, registerEvents]);
+/**
+ * Count edge crossings between two adjacent layers
+ *
+ * Edges are (upper position, lower position) pairs; two edges cross when their order
+ * differs between the layers. Counted as inversions with a Fenwick tree in O(E log V).
+ *
+ * @param {number[][]} edges - [upperIndex, lowerIndex] pairs
+ * @param {number} lowerSize - Number of nodes in the lower layer
+ * @returns {number} Number of crossings
+ */
+function countLayerCrossings(edges, lowerSize) {
+    const sorted = [...edges].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const tree = new Array(lowerSize + 1).fill(0);
+    let crossings = 0;
+    let seen = 0;
+
+    sorted.forEach(([, lower]) => {
+        // Edges already seen that land strictly to the right of this one cross it
+        let notGreater = 0;
+        for (let i = lower + 1; i > 0; i -= i & -i) notGreater += tree[i];
+        crossings += seen - notGreater;
+
+        for (let i = lower + 1; i <= lowerSize; i += i & -i) tree[i]++;
+        seen++;
+    });
 
-    // Track mouse position for tooltip placement near cursor
-    useEffect(() => {
-        const container = sigma.getContainer();
+    return crossings;
+}
 
-        const handleMouseMove = (e) => {
-            const rect = container.getBoundingClientRect();
-            setTooltipPosition({
-                x: e.clientX - rect.left,
-                y: e.clientY - rect.top,
-            });
-        };
+/**
+ * Hierarchical layout - ranks nodes in layers following edge direction (Sugiyama style)
+ *
+ * 1. Cycles: edges closing a cycle (DFS back edges) are reversed for ranking only
+ * 2. Layering: each node sits one layer below its deepest predecessor (longest path)
+ * 3. Crossing reduction: long edges get virtual nodes, then barycenter sweeps
+ *    reorder each layer; the ordering with the fewest crossings wins
+ * 4. Coordinates: layers are layerSpacing apart, nodes nodeSpacing apart, centered
+ *
+ * direction: "TB" (top to bottom), "BT", "LR" (left to right) or "RL"
+ *
+ * @returns {number} Edge crossings left in the chosen ordering
+ */
+function hierarchicalLayout(graph, { direction, layerSpacing, nodeSpacing, crossingIterations }) {
+    const nodes = graph.nodes();
 
-        container.addEventListener('mousemove', handleMouseMove);
+    // Edge direction as drawn (undirected edges go source -> target), without self-loops
+    const outgoing = new Map(nodes.map(node => [node, new Set()]));
+    const hasIncoming = new Set();
+    graph.forEachEdge((edge, attrs, source, target) => {
+        if (source === target) return;
+        outgoing.get(source).add(target);
+        hasIncoming.add(target);
+    });
 
-        return () => {
-            container.removeEventListener('mousemove', handleMouseMove);
-        };
-    }, [sigma]);
+    // 1. Depth-first search from the sources; back edges are reversed to break cycles
+    const VISITING = 1;
+    const DONE = 2;
+    const visitState = new Map();
+    const successors = new Map(nodes.map(node => [node, new Set()]));
+    const roots = [...nodes.filter(node => !hasIncoming.has(node)), ...nodes];
 
-    // Render tooltip - only when node is hovered
-    if (!hoveredNode) return null;
+    roots.forEach((root) => {
+        if (visitState.has(root)) return;
 
-    const attrs = sigma.getGraph().getNodeAttributes(hoveredNode);
+        visitState.set(root, VISITING);
+        const stack = [[root, outgoing.get(root).values()]];
 
-    // Format description text with line breaks and truncation
-    const descriptionLines = attrs.description ? formatTooltipText(attrs.description, 300) : [];
+        while (stack.length > 0) {
+            const [node, targets] = stack[stack.length - 1];
+            const next = targets.next();
 
-    // Truncate entity name (label) if too long
-    const displayLabel = truncateText(attrs.label || hoveredNode, 50);
+            if (next.done) {
+                visitState.set(node, DONE);
+                stack.pop();
+                continue;
+            }
 
-    return (
-        <div
-            style={{
+            const target = next.value;
+            if (visitState.get(target) === VISITING) {
+                successors.get(target).add(node); // Back edge - reverse it
+            } else {
+                successors.get(node).add(target);
+                if (!visitState.has(target)) {
+                    visitState.set(target, VISITING);
+                    stack.push([target, outgoing.get(target).values()]);
+                }
+            }
+        }
+    });
+
+    // 2. Longest-path layering in topological order
+    const inDegree = new Map(nodes.map(node => [node, 0]));
+    successors.forEach(targets => targets.forEach(target => inDegree.set(target, inDegree.get(target) + 1)));
+
+    const ranks = new Map(nodes.map(node => [node, 0]));
+    const topologicalOrder = nodes.filter(node => inDegree.get(node) === 0);
+    for (let i = 0; i < topologicalOrder.length; i++) {
+        const node = topologicalOrder[i];
+        successors.get(node).forEach((target) => {
+            ranks.set(target, Math.max(ranks.get(target), ranks.get(node) + 1));
+            inDegree.set(target, inDegree.get(target) - 1);
+            if (inDegree.get(target) === 0) topologicalOrder.push(target);
+        });
+    }
+
+    // 3. Build layers, splitting edges that span several layers with virtual nodes
+    const layerCount = Math.max(...ranks.values()) + 1;
+    const layers = Array.from({ length: layerCount }, () => []);
+    const below = new Map();
+    const above = new Map();
+    const link = (upper, lower) => {
+        below.get(upper).push(lower);
+        above.get(lower).push(upper);
+    };
+    const addToLayer = (id, rank) => {
+        layers[rank].push(id);
+        below.set(id, []);
+        above.set(id, []);
+    };
+
+    topologicalOrder.forEach(node => addToLayer(node, ranks.get(node)));
+
+    let virtualCount = 0;
+    topologicalOrder.forEach((node) => {
+        successors.get(node).forEach((target) => {
+            let previous = node;
+            for (let rank = ranks.get(node) + 1; rank < ranks.get(target); rank++) {
+                const virtualNode = { virtual: virtualCount++ };
+                addToLayer(virtualNode, rank);
+                link(previous, virtualNode);
+                previous = virtualNode;
+            }
+            link(previous, target);
+        });
+    });
+
+    const countCrossings = () => {
+        let total = 0;
+        for (let i = 0; i < layers.length - 1; i++) {
+            const lowerPositions = new Map(layers[i + 1].map((id, index) => [id, index]));
+            const edges = [];
+            layers[i].forEach((id, index) => {
+                below.get(id).forEach(lower => edges.push([index, lowerPositions.get(lower)]));
+            });
+            total += countLayerCrossings(edges, layers[i + 1].length);
+        }
+        return total;
+    };
+
+    // Reorder one layer by the average position of its neighbours in the fixed layer
+    const reorderLayer = (layer, fixedLayer, neighbours) => {
+        const fixedPositions = new Map(fixedLayer.map((id, index) => [id, index]));
+        const barycenters = new Map(layer.map((id, index) => {
+            const linked = neighbours.get(id);
+            if (linked.length === 0) return [id, index];
+            const sum = linked.reduce((acc, other) => acc + fixedPositions.get(other), 0);
+            return [id, sum / linked.length];
+        }));
+        layer.sort((a, b) => barycenters.get(a) - barycenters.get(b));
+    };
+
+    let bestLayers = layers.map(layer => [...layer]);
+    let bestCrossings = countCrossings();
+
+    for (let iteration = 0; iteration < crossingIterations && bestCrossings > 0; iteration++) {
+        for (let i = 1; i < layers.length; i++) reorderLayer(layers[i], layers[i - 1], above);
+        for (let i = layers.length - 2; i >= 0; i--) reorderLayer(layers[i], layers[i + 1], below);
+
+        const crossings = countCrossings();
+        if (crossings < bestCrossings) {
+            bestCrossings = crossings;
+            bestLayers = layers.map(layer => [...layer]);
+        }
+    }
+
+    // 4. Assign coordinates (Sigma's y axis points up, so "TB" uses negative y)
+    bestLayers.forEach((layer, rank) => {
+        layer.forEach((id, index) => {
+            if (typeof id !== 'string') return; // Virtual node
+
+            const along = rank * layerSpacing;
+            const across = (index - (layer.length - 1) / 2) * nodeSpacing;
+
+            let x, y;
+            switch (direction) {
+                case 'BT': x = across; y = along; break;
+                case 'LR': x = along; y = -across; break;
+                case 'RL': x = -along; y = -across; break;
+                default: x = across; y = -along; // TB
+            }
+
+            graph.setNodeAttribute(id, 'x', x);
+            graph.setNodeAttribute(id, 'y', y);
+        });
+    });
+
+    return bestCrossings;
+}
+
+/**
+ * Radial (ego-centric) layout - focus node at the centre, other nodes on rings by BFS distance
+ *
+ * Uses the BFS tree from calculateNodeDepths: every subtree gets an angular wedge
+ * proportional to its number of leaves, so children sit next to their parent.
+ * Rings are ringSpacing apart and grow when needed to give each node nodeSpacing
+ * of circumference. Nodes not connected to the focus go on an extra outer ring.
+ *
+ * @param {Graph} graph - Graph to lay out
+ * @param {string|null} focusNode - Node to centre on (defaults to the highest-degree node)
+ * @returns {string} The node actually used as focus
+ */
+function radialLayout(graph, focusNode, { ringSpacing, nodeSpacing }) {
+    let focus = focusNode && graph.hasNode(focusNode) ? focusNode : null;
+    if (!focus) {
+        let maxDegree = -1;
+        graph.forEachNode((node) => {
+            const degree = graph.degree(node);
+            if (degree > maxDegree) {
+                maxDegree = degree;
+                focus = node;
+            }
+        });
+    }
+
+    // Depths are in BFS order, so every parent comes before its children
+    const depths = calculateNodeDepths(graph, focus);
+    const bfsOrder = Array.from(depths.keys());
+    const children = new Map(bfsOrder.map(node => [node, []]));
+    bfsOrder.forEach((node) => {
+        const depth = depths.get(node);
+        if (depth === 0) return;
+        const parent = graph.findNeighbor(node, neighbor => depths.get(neighbor) === depth - 1);
+        children.get(parent).push(node);
+    });
+
+    // Subtree weights = number of leaves below each node
+    const weights = new Map();
+    for (let i = bfsOrder.length - 1; i >= 0; i--) {
+        const node = bfsOrder[i];
+        const childWeight = children.get(node).reduce((sum, child) => sum + weights.get(child), 0);
+        weights.set(node, Math.max(1, childWeight));
+    }
+
+    // Ring radii, widened when a ring has too many nodes for its circumference
+    const unreachable = graph.nodes().filter(node => !depths.has(node));
+    const ringSizes = [];
+    depths.forEach((depth) => {
+        ringSizes[depth] = (ringSizes[depth] || 0) + 1;
+    });
+    if (unreachable.length > 0) ringSizes.push(unreachable.length);
+
+    const radii = [0];
+    for (let depth = 1; depth < ringSizes.length; depth++) {
+        radii[depth] = Math.max(radii[depth - 1] + ringSpacing, (ringSizes[depth] * nodeSpacing) / (2 * Math.PI));
+    }
+
+    // Split each node's wedge between its children
+    const wedges = new Map([[focus, { start: 0, end: 2 * Math.PI }]]);
+    bfsOrder.forEach((node) => {
+        const { start, end } = wedges.get(node);
+        const angle = (start + end) / 2;
+        const radius = radii[depths.get(node)];
+
+        graph.setNodeAttribute(node, 'x', radius * Math.cos(angle));
+        graph.setNodeAttribute(node, 'y', radius * Math.sin(angle));
+
+        let childStart = start;
+        const span = (end - start) / weights.get(node);
+        children.get(node).forEach((child) => {
+            const childEnd = childStart + span * weights.get(child);
+            wedges.set(child, { start: childStart, end: childEnd });
+            childStart = childEnd;
+        });
+    });
+
+    // Disconnected nodes are spread evenly on the outermost ring
+    const outerRadius = radii[radii.length - 1];
+    unreachable.forEach((node, i) => {
+        const angle = (2 * Math.PI * i) / unreachable.length;
+        graph.setNodeAttribute(node, 'x', outerRadius * Math.cos(angle));
+        graph.setNodeAttribute(node, 'y', outerRadius * Math.sin(angle));
+    });
+
+    return focus;
+}
+
+// Worker layouts currently running, per graph, so a newer layout can supersede an older one
+const runningWorkerLayouts = new WeakMap();
+
+/**
+ * Cancel the worker layout running on a graph, if any
+ *
+ * @param {Graph} graph - Graph the layout runs on
+ */
+function cancelWorkerLayout(graph) {
+    const cancel = runningWorkerLayouts.get(graph);
+    if (cancel) cancel();
+}
+
+/**
+ * Run a graphology layout supervisor (Web Worker) for a fixed number of iterations
+ *
+ * Every worker round-trip computes one iteration off the main thread and writes the
+ * positions back to the graph, so Sigma renders the layout as it streams in.
+ *
+ * @param {Graph} graph - Graph to lay out
+ * @param {Function} createSupervisor - Receives {outputReducer, onConverged}, returns the supervisor
+ * @param {number} iterations - Iteration budget
+ * @returns {Promise<boolean>} true when the run finished, false when it was cancelled
+ */
+function runLayoutSupervisor(graph, createSupervisor, iterations) {
+    cancelWorkerLayout(graph);
+
+    return new Promise((resolve) => {
+        let supervisor = null;
+        let finished = false;
+        let updatedNodes = 0;
+
+        const finish = (completed) => {
+            if (finished) return;
+            finished = true;
+            runningWorkerLayouts.delete(graph);
+
+            // Stop right away, but kill on the next tick - we may be inside the supervisor's message handler
+            supervisor.stop();
+            setTimeout(() => supervisor.kill(), 0);
+            resolve(completed);
+        };
+
+        // Called once per node per iteration when positions come back from the worker
+        const outputReducer = (node, position) => {
+            updatedNodes++;
+            if (updatedNodes >= iterations * graph.order) {
+                finish(true);
+            }
+            return position;
+        };
+
+        supervisor = createSupervisor({ outputReducer, onConverged: () => finish(true) });
+        runningWorkerLayouts.set(graph, () => finish(false));
+        supervisor.start();
+    });
+}
+
+/**
+ * Run ForceAtlas2 off the main thread (falls back to a synchronous run without Worker support)
+ *
+ * @returns {Promise<boolean>} true when the run finished, false when it was cancelled
+ */
+function runForceAtlas2(graph, settings, iterations) {
+    if (typeof Worker === 'undefined') {
+        forceAtlas2.assign(graph, { iterations, settings });
+        return Promise.resolve(true);
+    }
+
+    return runLayoutSupervisor(
+        graph,
+        ({ outputReducer }) => new FA2Layout(graph, { settings, outputReducer }),
+        iterations
+    );
+}
+
+/**
+ * Copy of a graph's node positions and sizes for Noverlap, pinned nodes first
+ *
+ * Noverlap only pushes the later node of an overlapping pair away, so with the pinned
+ * nodes first the free node of a mixed pair is the one that moves.
+ *
+ * @param {Graph} graph - Graph to lay out
+ * @param {Map<string, {x: number, y: number}>} pinned - Pinned positions (see getPinnedPositions)
+ * @returns {Graph} Edgeless graph of x, y and size
+ */
+function createNoverlapGraph(graph, pinned) {
+    const copy = new Graph();
+    pinned.forEach((position, node) => {
+        copy.addNode(node, { ...position, size: graph.getNodeAttribute(node, 'size') });
+    });
+    graph.forEachNode((node, attrs) => {
+        if (!pinned.has(node)) copy.addNode(node, { x: attrs.x, y: attrs.y, size: attrs.size });
+    });
+    return copy;
+}
+
+/**
+ * Run Noverlap off the main thread until it converges or hits maxIterations
+ *
+ * Noverlap has no notion of fixed nodes. With pinned nodes it therefore runs on the main
+ * thread, one iteration at a time on a copy (see createNoverlapGraph) where every iteration
+ * starts with the pinned nodes back at their own coordinates: they push overlapping nodes
+ * away but never move. Only free nodes are written back.
+ *
+ * @returns {Promise<boolean>} true when the run finished, false when it was cancelled
+ */
+function runNoverlap(graph, settings, maxIterations) {
+    const pinned = getPinnedPositions(graph);
+
+    if (pinned.size > 0 || typeof Worker === 'undefined') {
+        const layoutGraph = createNoverlapGraph(graph, pinned);
+
+        for (let i = 0; i < maxIterations; i++) {
+            let moved = false;
+            noverlap.assign(layoutGraph, {
+                maxIterations: 1,
+                settings,
+                outputReducer: (node, position) => {
+                    if (pinned.has(node)) return pinned.get(node);
+                    // Positions come back as 32-bit floats - a node without overlaps keeps its rounded position
+                    const attrs = layoutGraph.getNodeAttributes(node);
+                    if (position.x !== Math.fround(attrs.x) || position.y !== Math.fround(attrs.y)) moved = true;
+                    return position;
+                },
+            });
+            if (!moved) break;
+        }
+
+        layoutGraph.forEachNode((node, attrs) => {
+            if (!pinned.has(node) && graph.hasNode(node)) graph.mergeNodeAttributes(node, { x: attrs.x, y: attrs.y });
+        });
+        return Promise.resolve(true);
+    }
+
+    return runLayoutSupervisor(
+        graph,
+        ({ outputReducer, onConverged }) => new NoverlapLayout(graph, { settings, outputReducer, onConverged }),
+        maxIterations
+    );
+}
+
+/**
+ * Pin or unpin a node - pinned nodes carry fixed: true and keep their position in every layout
+ *
+ * @returns {boolean} true when the pinned state actually changed
+ */
+function setNodePinned(graph, node, pinned) {
+    if (!graph.hasNode(node) || Boolean(graph.getNodeAttribute(node, 'fixed')) === pinned) return false;
+
+    if (pinned) {
+        graph.setNodeAttribute(node, 'fixed', true);
+    } else {
+        graph.removeNodeAttribute(node, 'fixed');
+    }
+    return true;
+}
+
+/**
+ * Current positions of all pinned nodes
+ *
+ * @returns {Map<string, {x: number, y: number}>} Positions keyed by node id
+ */
+function getPinnedPositions(graph) {
+    const pinned = new Map();
+    graph.forEachNode((node, attrs) => {
+        if (attrs.fixed && attrs.x !== undefined && attrs.y !== undefined) {
+            pinned.set(node, { x: attrs.x, y: attrs.y });
+        }
+    });
+    return pinned;
+}
+
+/**
+ * Put pinned nodes back where they were before a layout pass moved them
+ */
+function restorePinnedPositions(graph, pinned) {
+    pinned.forEach((position, node) => {
+        if (graph.hasNode(node)) graph.mergeNodeAttributes(node, position);
+    });
+}
+
+/**
+ * Apply selected layout algorithm to graph with anti-collision
+ *
+ * Computes positions with the selected layout, then (optionally) runs Noverlap to
+ * remove any remaining node overlaps. ForceAtlas2 and Noverlap run in Web Workers,
+ * so large graphs no longer freeze the page.
+ * Settings come from getDefaultLayoutSettings, overridden by the layout_settings prop.
+ *
+ * The "noverlap" layout type only removes overlaps from the current positions.
+ * options.antiOverlap forces the Noverlap pass on (true) or off (false) for any layout;
+ * when unset, only ForceAtlas2 is followed by Noverlap.
+ * options.focusNode is the centre of the "radial" layout.
+ * options.seed makes the random layout reproducible; every other layout is deterministic
+ * for a given graph and starting positions.
+ * Pinned nodes (fixed: true) keep their position through every pass.
+ *
+ * @returns {Promise<boolean>} true once the layout is done, false if a newer layout superseded it
+ */
+async function applyLayout(graph, layoutType, layoutSettings = {}, options = {}) {
+    if (!graph || graph.order === 0) return false;
+
+    console.log(`Applying layout: ${layoutType}`);
+
+    // A synchronous layout must not be overwritten by a worker layout still streaming in
+    // (on the graph itself or on the copy of an older run)
+    const previousRun = latestLayoutRuns.get(graph);
+    if (previousRun && previousRun.target) cancelWorkerLayout(previousRun.target);
+    latestLayoutRuns.set(graph, {});
+    cancelWorkerLayout(graph);
+    cancelLayoutAnimation(graph);
+
+    const settings = resolveLayoutSettings(graph, layoutSettings);
+    const pinned = getPinnedPositions(graph);
+    let resolvedType = layoutType;
+
+    switch (layoutType) {
+        case 'forceAtlas2': {
+            // Apply ForceAtlas2 with optimized settings for better spacing
+            const { iterations, ...forceAtlas2Settings } = settings.forceAtlas2;
+            if (!await runForceAtlas2(graph, forceAtlas2Settings, iterations)) return false;
+            console.log('Applied ForceAtlas2 layout with improved spacing');
+            break;
+        }
+
+        case 'noverlap':
+            // Keep current positions - the Noverlap pass below does all the work
+            break;
+
+        case 'circular':
+            // Arrange nodes in a circle
+            circularLayout(graph, settings.circular);
+            console.log('Applied circular layout');
+            break;
+
+        case 'random':
+            // Random positioning
+            randomLayout(graph, settings.random, options.seed);
+            console.log('Applied random layout');
+            break;
+
+        case 'hierarchical':
+            // Layered DAG layout following edge direction
+            hierarchicalLayout(graph, settings.hierarchical);
+            console.log('Applied hierarchical layout');
+            break;
+
+        case 'radial': {
+            // Rings around the focus node
+            const focus = radialLayout(graph, options.focusNode, settings.radial);
+            console.log('Applied radial layout around:', focus);
+            break;
+        }
+
+        default: {
+            console.warn(`Unknown layout type: ${layoutType}`);
+            // Default to ForceAtlas2 + Noverlap
+            resolvedType = 'forceAtlas2';
+            const { iterations, ...forceAtlas2Settings } = settings.forceAtlas2;
+            if (!await runForceAtlas2(graph, forceAtlas2Settings, iterations)) return false;
+        }
+    }
+    restorePinnedPositions(graph, pinned);
+
+    const antiOverlap = options.antiOverlap ?? resolvedType === 'forceAtlas2';
+    if (layoutType === 'noverlap' || antiOverlap) {
+        // Apply Noverlap to remove any remaining overlaps
+        const { maxIterations, ...noverlapSettings } = settings.noverlap;
+        if (!await runNoverlap(graph, noverlapSettings, maxIterations)) return false;
+        console.log('Applied Noverlap anti-collision');
+    }
+
+    return true;
+}
+
+// Default duration of animated position transitions (ms), see the transition_duration prop
+const DEFAULT_TRANSITION_DURATION = 600;
+
+// Most recent layout run per graph - older animated runs finishing late are discarded
+const latestLayoutRuns = new WeakMap();
+
+// Position tweens currently running, per graph
+const runningLayoutAnimations = new WeakMap();
+
+// Layouts computed in one synchronous pass - the only ones applyLayoutAnimated tweens
+const TWEENED_LAYOUT_TYPES = ['circular', 'random', 'hierarchical', 'radial'];
+
+/**
+ * Stop the position tween running on a graph, if any (nodes stay where they are)
+ *
+ * @param {Graph} graph - Graph being animated
+ */
+function cancelLayoutAnimation(graph) {
+    const cancel = runningLayoutAnimations.get(graph);
+    if (cancel) cancel();
+}
+
+/**
+ * Tween nodes from their current positions to new ones
+ *
+ * Replaces any tween already running on the graph. A duration of 0 (or less)
+ * moves the nodes immediately.
+ *
+ * @param {Graph} graph - Live graph
+ * @param {Object} positions - Target coordinates keyed by node id: { [node]: { x, y } }
+ * @param {number} duration - Transition duration in milliseconds
+ * @returns {Promise<boolean>} true once the nodes arrived, false if the tween was cancelled
+ */
+function animateNodePositions(graph, positions, duration) {
+    cancelLayoutAnimation(graph);
+
+    if (duration <= 0) {
+        Object.entries(positions).forEach(([node, position]) => graph.mergeNodeAttributes(node, position));
+        return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+        const stop = animateNodes(graph, positions, { duration, easing: 'quadraticInOut' }, () => {
+            runningLayoutAnimations.delete(graph);
+            resolve(true);
+        });
+        runningLayoutAnimations.set(graph, () => {
+            stop();
+            runningLayoutAnimations.delete(graph);
+            resolve(false);
+        });
+    });
+}
+
+/**
+ * Apply a layout with an animated transition from the current positions
+ *
+ * Synchronous layouts (TWEENED_LAYOUT_TYPES) run on a copy of the graph, then every
+ * node tweens from where it is now to its computed position; an anti-overlap pass
+ * follows on the live graph once the nodes arrived. Worker layouts (ForceAtlas2,
+ * Noverlap) already move nodes gradually, so they stream into the live graph like
+ * applyLayout - as does every layout when duration is 0.
+ *
+ * @param {number} duration - Transition duration in milliseconds
+ * @returns {Promise<boolean>} true once the transition finished, false if superseded
+ */
+async function applyLayoutAnimated(graph, layoutType, layoutSettings = {}, options = {}, duration = DEFAULT_TRANSITION_DURATION) {
+    if (!graph || graph.order === 0) return false;
+
+    if (duration <= 0 || !TWEENED_LAYOUT_TYPES.includes(layoutType)) {
+        return applyLayout(graph, layoutType, layoutSettings, options);
+    }
+
+    const run = {};
+    latestLayoutRuns.set(graph, run);
+    cancelWorkerLayout(graph);
+    cancelLayoutAnimation(graph);
+
+    const target = graph.copy();
+    if (!await applyLayout(target, layoutType, layoutSettings, { ...options, antiOverlap: false })) return false;
+    if (latestLayoutRuns.get(graph) !== run) return false;
+
+    const positions = {};
+    target.forEachNode((node, attrs) => {
+        if (graph.hasNode(node)) {
+            positions[node] = { x: attrs.x, y: attrs.y };
+        }
+    });
+
+    if (!await animateNodePositions(graph, positions, duration)) return false;
+    if (!options.antiOverlap) return true;
+    if (latestLayoutRuns.get(graph) !== run) return false;
+
+    // Remove remaining overlaps where the nodes landed
+    const { maxIterations, ...noverlapSettings } = resolveLayoutSettings(graph, layoutSettings).noverlap;
+    if (!await runNoverlap(graph, noverlapSettings, maxIterations)) return false;
+    console.log('Applied Noverlap anti-collision');
+    return true;
+}
+
+/**
+ * Lay out every node except a kept set, which stays exactly where it is
+ *
+ * The layout runs on a copy of the graph with the kept nodes pinned, then the other
+ * nodes tween to their computed positions. Used for arrangements restored from
+ * node_positions, so only the nodes without a saved position get placed.
+ *
+ * @param {Set<string>} keptNodes - Nodes that must not move
+ * @param {number} duration - Transition duration in milliseconds
+ * @returns {Promise<boolean>} true once the transition finished, false if superseded
+ */
+async function applyLayoutAround(graph, keptNodes, layoutType, layoutSettings = {}, options = {}, duration = DEFAULT_TRANSITION_DURATION) {
+    if (!graph || graph.order === 0) return false;
+
+    const target = graph.copy();
+    const previousRun = latestLayoutRuns.get(graph);
+    if (previousRun && previousRun.target) cancelWorkerLayout(previousRun.target);
+    const run = { target };
+    latestLayoutRuns.set(graph, run);
+    cancelWorkerLayout(graph);
+    cancelLayoutAnimation(graph);
+
+    keptNodes.forEach((node) => {
+        if (target.hasNode(node)) target.setNodeAttribute(node, 'fixed', true);
+    });
+    if (!await applyLayout(target, layoutType, layoutSettings, options)) return false;
+    if (latestLayoutRuns.get(graph) !== run) return false;
+
+    const positions = {};
+    target.forEachNode((node, attrs) => {
+        if (!keptNodes.has(node) && graph.hasNode(node)) {
+            positions[node] = { x: attrs.x, y: attrs.y };
+        }
+    });
+
+    return animateNodePositions(graph, positions, duration);
+}
+
+// Delay before node positions are reported to Python, so bursts of moves send one update (ms)
+const POSITIONS_REPORT_DELAY = 300;
+
+// Pending on_positions_change reports, per graph
+const positionsReportTimers = new WeakMap();
+
+/**
+ * Current coordinates of every node, in the shape node_positions accepts
+ *
+ * @returns {Object} { [node]: { x, y } }
+ */
+function collectNodePositions(graph) {
+    const positions = {};
+    graph.forEachNode((node, attrs) => {
+        positions[node] = { x: attrs.x, y: attrs.y };
+    });
+    return positions;
+}
+
+/**
+ * Report node positions through on_positions_change once moves settle
+ *
+ * Called at the end of every drag and layout; calls within POSITIONS_REPORT_DELAY
+ * of each other are merged into one report.
+ *
+ * @param {Graph} graph - Live graph
+ * @param {Function} emitEvent - Viewer event dispatcher
+ */
+function schedulePositionsReport(graph, emitEvent) {
+    clearTimeout(positionsReportTimers.get(graph));
+    positionsReportTimers.set(graph, setTimeout(() => {
+        positionsReportTimers.delete(graph);
+        if (graph.order === 0) return;
+        emitEvent('onPositionsChange', collectNodePositions(graph));
+    }, POSITIONS_REPORT_DELAY));
+}
+
+// Reducer layers per Sigma instance. Sigma has a single nodeReducer/edgeReducer slot, so
+// search, selection and path highlighting each register a layer and the slot gets the chain
+const reducerLayers = new WeakMap();
+
+// Layers run in this order, each one receiving the output of the previous
+const REDUCER_LAYER_ORDER = ['search', 'selection', 'path'];
+
+/**
+ * Set (or with null, remove) one highlighting layer and rebuild Sigma's reducers
+ *
+ * @param {Sigma} sigma - Sigma instance
+ * @param {string} name - Layer name from REDUCER_LAYER_ORDER
+ * @param {{nodeReducer?: Function, edgeReducer?: Function}|null} reducers - Layer reducers
+ */
+function setReducerLayer(sigma, name, reducers) {
+    if (!reducerLayers.has(sigma)) reducerLayers.set(sigma, new Map());
+    const layers = reducerLayers.get(sigma);
+
+    if (reducers) {
+        layers.set(name, reducers);
+    } else {
+        layers.delete(name);
+    }
+
+    const chain = (kind) => {
+        const chained = REDUCER_LAYER_ORDER
+            .map(layer => layers.get(layer)?.[kind])
+            .filter(Boolean);
+        if (chained.length === 0) return null;
+        if (chained.length === 1) return chained[0];
+        return (key, data) => chained.reduce((result, reducer) => reducer(key, result), data);
+    };
+
+    sigma.setSetting('nodeReducer', chain('nodeReducer'));
+    sigma.setSetting('edgeReducer', chain('edgeReducer'));
+}
+
+/**
+ * Node Reducer for Search/Filter Highlighting
+ * Implements client-side search that highlights matching nodes
+ */
+function SearchNodeReducer({ searchQuery, showNodeLabels, theme }) {
+    const sigma = useSigma();
+    const setSettings = useSetSettings();
+    const graph = sigma.getGraph();
+
+    useEffect(() => {
+        // Update node rendering based on search query
+        const normalizedQuery = searchQuery.toLowerCase().trim();
+
+        if (!normalizedQuery) {
+            // No search - show all nodes normally (nodes hidden from the selection bar stay hidden)
+            graph.forEachNode((node) => {
+                graph.setNodeAttribute(node, 'highlighted', false);
+            });
+        } else {
+            // Search active - highlight matches, grey out non-matches
+            graph.forEachNode((node) => {
+                const attrs = graph.getNodeAttributes(node);
+                const label = (attrs.label || '').toLowerCase();
+                const nodeType = (attrs.nodeType || '').toLowerCase();
+                const entityType = (attrs.entity_type || '').toLowerCase();
+
+                // Check if node matches search query
+                const matches = label.includes(normalizedQuery) ||
+                    nodeType.includes(normalizedQuery) ||
+                    entityType.includes(normalizedQuery);
+
+                if (matches) {
+                    // Highlight matching nodes
+                    graph.setNodeAttribute(node, 'highlighted', true);
+                } else {
+                    // Grey out non-matching nodes
+                    graph.setNodeAttribute(node, 'highlighted', false);
+                    // Optionally hide non-matches:
+                    // graph.setNodeAttribute(node, 'hidden', true);
+                }
+            });
+        }
+
+        // Update label visibility based on showNodeLabels prop
+        setSettings({
+            renderLabels: showNodeLabels,
+        });
+    }, [searchQuery, showNodeLabels, graph, setSettings]);
+
+    // Nodes added by incremental data updates also need to be matched against the query
+    useEffect(() => {
+        const normalizedQuery = searchQuery.toLowerCase().trim();
+        if (!normalizedQuery) return;
+
+        const handleNodeAdded = ({ key, attributes }) => {
+            const matches = [attributes.label, attributes.nodeType, attributes.entity_type]
+                .some(value => (value || '').toLowerCase().includes(normalizedQuery));
+            graph.setNodeAttribute(key, 'highlighted', matches);
+        };
+
+        graph.on('nodeAdded', handleNodeAdded);
+        return () => {
+            graph.off('nodeAdded', handleNodeAdded);
+        };
+    }, [searchQuery, graph]);
+
+    // Add node reducer for visual styling based on highlighted state
+    useEffect(() => {
+        const nodeReducer = (node, data) => {
+            const res = { ...data };
+
+            if (data.highlighted) {
+                // Highlighted nodes (being dragged or hovered) - make them stand out
+                res.size = data.size * 1.5;
+                res.borderColor = theme.highlightBorderColor;
+                res.borderSize = 2;
+            } else if (searchQuery.trim()) {
+                // Non-highlighted during search - make them subtle
+                res.color = theme.dimmedNodeColor;
+                res.size = data.size * 0.7;
+            }
+
+            return res;
+        };
+
+        setReducerLayer(sigma, 'search', { nodeReducer });
+
+        // Cleanup
+        return () => {
+            setReducerLayer(sigma, 'search', null);
+        };
+    }, [searchQuery, theme, sigma]);
+
+    return null;
+}
+
+/**
+ * Force Atlas 2 Layout Controller
+ * Manages continuous Force Atlas 2 layout simulation in a Web Worker
+ * (layout_running is the start/stop switch); positions stream back into Sigma
+ * Uses the same ForceAtlas2 settings as applyLayout, so layout_settings tunes both
+ * The simulation is registered as the graph's worker layout: applying any other layout
+ * (refresh, layout_type change, new data) stops it instead of running alongside it
+ * Fires on_layout_complete (and on_positions_change) when a running simulation is stopped
+ */
+function ForceAtlas2Controller({ layoutRunning, layoutSettings, emitEvent }) {
+    const sigma = useSigma();
+    const graph = sigma.getGraph();
+    const supervisorRef = useRef(null);
+    const wasRunningRef = useRef(false);
+
+    useEffect(() => {
+        if (!layoutRunning) {
+            // Stop layout
+            if (wasRunningRef.current) {
+                console.log('Stopping Force Atlas 2 layout');
+                wasRunningRef.current = false;
+                emitEvent('onLayoutComplete');
+                schedulePositionsReport(graph, emitEvent);
+            }
+            return undefined;
+        }
+
+        console.log('Starting Force Atlas 2 layout');
+        wasRunningRef.current = true;
+
+        // A one-off layout still streaming in would fight the simulation
+        cancelWorkerLayout(graph);
+
+        // Iteration count only applies to one-off runs - the simulation runs until stopped
+        const { iterations: _iterations, ...settings } = resolveLayoutSettings(graph, layoutSettings).forceAtlas2;
+        const supervisor = new FA2Layout(graph, { settings });
+        supervisorRef.current = supervisor;
+
+        const stop = () => {
+            if (supervisorRef.current !== supervisor) return;
+            supervisorRef.current = null;
+            if (runningWorkerLayouts.get(graph) === stop) runningWorkerLayouts.delete(graph);
+            supervisor.kill();
+        };
+        runningWorkerLayouts.set(graph, stop);
+        supervisor.start();
+
+        // Cleanup on unmount (and before every switch) - terminates the worker
+        return stop;
+    }, [layoutRunning, layoutSettings, graph, emitEvent]);
+
+    return null;
+}
+
+/**
+ * Text Formatting Helper
+ * Processes text for tooltip display with line breaks and truncation
+ *
+ * @param {string} text - Text to format
+ * @param {number} maxLength - Maximum character length per line
+ * @returns {string[]} Array of lines to render
+ */
+function formatTooltipText(text, maxLength = 300) {
+    if (!text) return [];
+
+    // Split on <sep> or <SEP> tag (case-insensitive) to create line breaks
+    const lines = text.split(/<sep>/i).map(line => line.trim()).filter(line => line.length > 0);
+
+    // Truncate each line if it exceeds maxLength
+    return lines.map(line => {
+        if (line.length > maxLength) {
+            return line.substring(0, maxLength) + '...';
+        }
+        return line;
+    });
+}
+
+/**
+ * Truncate text with ellipsis if it exceeds max length
+ *
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum character length
+ * @returns {string} Truncated text with ellipsis if needed
+ */
+function truncateText(text, maxLength) {
+    if (!text || text.length <= maxLength) return text;
+    return text.substring(0, maxLength) + '...';
+}
+
+// Value formats understood by tooltip and details fields
+const FIELD_FORMATS = ['text', 'number', 'percent', 'date', 'datetime', 'list', 'multiline', 'json'];
+
+// Built-in node tooltip - the entity format (label, entity_type, <sep> description, importance)
+const DEFAULT_NODE_TOOLTIP = {
+    title: 'label',
+    titleMaxLength: 50,
+    fields: [
+        { key: 'entity_type', label: 'Type', format: 'text', maxLength: 100 },
+        { key: 'description', label: null, format: 'multiline', maxLength: 300 },
+        { key: 'importance', label: 'Importance', format: 'text', maxLength: 100 },
+    ],
+    showDegree: true,
+};
+
+// Built-in edge tooltip - relationship type, weight and <sep> description
+const DEFAULT_EDGE_TOOLTIP = {
+    title: ['edgeType', 'label'],
+    titleMaxLength: 100,
+    fields: [
+        { key: 'weight', label: 'Weight', format: 'number', decimals: 2 },
+        { key: 'description', label: null, format: 'multiline', maxLength: 300 },
+    ],
+    showEndpoints: false,
+};
+
+// How an edge click is handled: built-in modal or side drawer (plus on_edge_click),
+// on_edge_click only, or ignored
+const EDGE_DETAILS_MODES = ['modal', 'drawer', 'python', 'none'];
+
+// How a node click is shown - on_node_click fires in every mode
+const NODE_DETAILS_MODES = ['drawer', 'modal', 'none'];
+
+// Built-in "Relationship Details" modal
+const DEFAULT_EDGE_DETAILS = {
+    mode: 'modal',
+    heading: 'Relationship Details',
+    title: ['edgeType', 'label'],
+    titleMaxLength: null,
+    showEndpoints: true,
+    fields: [
+        { key: 'weight', label: 'Weight', format: 'number', decimals: 4 },
+        { key: 'keywords', label: 'Keywords', format: 'text', highlight: true },
+        { key: 'description', label: 'Description', format: 'multiline' },
+    ],
+    showOtherAttributes: true,
+    exclude: ['color', 'size', 'type', 'created_at'],
+};
+
+// What a node click does, in the order the on-canvas toggle cycles through them
+const INTERACTION_MODES = [
+    {
+        mode: 'select',
+        title: 'Select: click a node to show its details',
+        icon: 'M4 4l7 17 2.5-7.5L21 11z',
+    },
+    {
+        mode: 'neighborhood',
+        title: 'Neighborhood: click a node to highlight its neighbors',
+        icon: 'M9 12a3 3 0 1 0 6 0 3 3 0 1 0-6 0M12 2v4M12 18v4M2 12h4M18 12h4',
+    },
+    {
+        mode: 'path',
+        title: 'Path: click two nodes to show the shortest path',
+        icon: 'M3 19a2 2 0 1 0 4 0 2 2 0 1 0-4 0M17 5a2 2 0 1 0 4 0 2 2 0 1 0-4 0M6.5 17.5l11-11',
+    },
+    {
+        mode: 'none',
+        title: 'None: clicks only notify the app',
+        icon: 'M3 12a9 9 0 1 0 18 0 9 9 0 1 0-18 0M5.6 5.6l12.8 12.8',
+    },
+];
+
+/**
+ * Validate the interaction_mode prop
+ *
+ * @returns {string} Known interaction mode ("select" for unknown values)
+ */
+function resolveInteractionMode(mode) {
+    if (INTERACTION_MODES.some(entry => entry.mode === mode)) return mode;
+
+    console.warn(`interaction_mode: unknown mode "${mode}", using "select"`);
+    return 'select';
+}
+
+// Built-in "Node Details" drawer - same options as edge_details, plus degree and neighbours
+const DEFAULT_NODE_DETAILS = {
+    mode: 'drawer',
+    heading: 'Node Details',
+    title: 'label',
+    titleMaxLength: null,
+    fields: [
+        { key: 'entity_type', label: 'Type', format: 'text' },
+        { key: 'importance', label: 'Importance', format: 'text' },
+        { key: 'description', label: 'Description', format: 'multiline' },
+    ],
+    showDegree: true,
+    showNeighbors: true,
+    neighborLimit: 25,
+    showOtherAttributes: true,
+    exclude: ['x', 'y', 'size', 'color', 'type', 'fixed', 'hidden', 'highlighted', 'forceLabel', 'zIndex', 'created_at'],
+};
+
+/**
+ * Normalize one field entry of a tooltip/details config
+ *
+ * Accepts a plain attribute name ("owner") or an object with key, label, format,
+ * max_length, decimals and highlight (snake_case or camelCase).
+ *
+ * @returns {Object|null} { key, label, format, maxLength, decimals, highlight } or null if invalid
+ */
+function normalizeField(entry, configName) {
+    const field = typeof entry === 'string' ? { key: entry } : entry;
+    if (!field || typeof field !== 'object' || typeof field.key !== 'string') {
+        console.warn(`${configName}: ignoring field without a "key":`, entry);
+        return null;
+    }
+
+    const options = Object.fromEntries(Object.entries(field).map(([name, value]) => [toCamelCase(name), value]));
+    let format = options.format || 'text';
+    if (!FIELD_FORMATS.includes(format)) {
+        console.warn(`${configName}: unknown format "${format}" for "${field.key}", using "text"`);
+        format = 'text';
+    }
+
+    return {
+        key: options.key,
+        label: options.label === undefined ? options.key : options.label,
+        format,
+        maxLength: Number.isInteger(options.maxLength) && options.maxLength > 0 ? options.maxLength : null,
+        decimals: Number.isInteger(options.decimals) && options.decimals >= 0 ? options.decimals : null,
+        highlight: Boolean(options.highlight),
+    };
+}
+
+/**
+ * Resolve a tooltip/details config prop against its defaults
+ *
+ * Unset (or true) keeps the defaults; false or enabled: false returns null.
+ * Any key of the defaults can be overridden (snake_case or camelCase);
+ * fields replaces the whole field list. Unknown keys are ignored with a warning.
+ *
+ * @param {Object|boolean|undefined} config - Prop value from Python
+ * @param {Object} defaults - Default config
+ * @param {string} configName - Prop name used in warnings
+ * @returns {Object|null} Resolved config, or null when disabled
+ */
+function resolveFieldsConfig(config, defaults, configName) {
+    const withDefaultFields = {
+        ...defaults,
+        fields: defaults.fields.map(entry => normalizeField(entry, configName)),
+    };
+
+    if (config === undefined || config === null || config === true) return withDefaultFields;
+    if (config === false || typeof config !== 'object') return null;
+
+    const resolved = { ...withDefaultFields };
+    for (const [key, value] of Object.entries(config)) {
+        const name = toCamelCase(key);
+        if (name === 'enabled') {
+            if (value === false) return null;
+        } else if (!(name in defaults)) {
+            console.warn(`${configName}: ignoring unknown option "${key}"`);
+        } else if (name === 'fields') {
+            if (Array.isArray(value)) {
+                resolved.fields = value.map(entry => normalizeField(entry, configName)).filter(Boolean);
+            } else {
+                console.warn(`${configName}: "fields" must be a list`);
+            }
+        } else if (name === 'titleMaxLength') {
+            resolved.titleMaxLength = Number.isInteger(value) && value > 0 ? value : null;
+        } else {
+            resolved[name] = value;
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Resolve the node_tooltip prop
+ *
+ * Unset keeps the built-in entity tooltip; false (or enabled: false) disables tooltips.
+ * Otherwise title, title_max_length, fields and show_degree override the defaults.
+ *
+ * @returns {Object|null} Tooltip config, or null when tooltips are disabled
+ */
+function resolveNodeTooltip(config) {
+    return resolveFieldsConfig(config, DEFAULT_NODE_TOOLTIP, 'node_tooltip');
+}
+
+/**
+ * Resolve the edge_tooltip prop (same rules as node_tooltip, with show_endpoints)
+ *
+ * @returns {Object|null} Tooltip config, or null when tooltips are disabled
+ */
+function resolveEdgeTooltip(config) {
+    return resolveFieldsConfig(config, DEFAULT_EDGE_TOOLTIP, 'edge_tooltip');
+}
+
+/**
+ * Resolve a details config prop (edge_details / node_details)
+ *
+ * Same rules as resolveFieldsConfig, except that false resolves to mode "none"
+ * instead of null, and an unknown mode falls back to the default one.
+ *
+ * @returns {Object} Details config (never null - check mode)
+ */
+function resolveDetailsConfig(config, defaults, modes, configName) {
+    const resolved = resolveFieldsConfig(config, defaults, configName) || { ...defaults, mode: 'none' };
+
+    if (!modes.includes(resolved.mode)) {
+        console.warn(`${configName}: unknown mode "${resolved.mode}", using "${defaults.mode}"`);
+        return { ...resolved, mode: defaults.mode };
+    }
+    return resolved;
+}
+
+/**
+ * Resolve the edge_details prop
+ *
+ * mode picks what an edge click does: "modal" or "drawer" (built-in details plus
+ * on_edge_click), "python" (on_edge_click only) or "none". false behaves like mode "none".
+ */
+function resolveEdgeDetails(config) {
+    return resolveDetailsConfig(config, DEFAULT_EDGE_DETAILS, EDGE_DETAILS_MODES, 'edge_details');
+}
+
+/**
+ * Resolve the node_details prop
+ *
+ * mode picks how a clicked node is shown: "drawer" (default), "modal" or "none".
+ */
+function resolveNodeDetails(config) {
+    return resolveDetailsConfig(config, DEFAULT_NODE_DETAILS, NODE_DETAILS_MODES, 'node_details');
+}
+
+/**
+ * Attributes not already shown by a details view
+ *
+ * @param {Object} attrs - Node or edge attributes
+ * @param {Object} details - Resolved details config
+ * @returns {Array<[string, *]>} Remaining non-empty [key, value] pairs
+ */
+function getOtherAttributes(attrs, details) {
+    if (!details.showOtherAttributes) return [];
+
+    const titleKeys = Array.isArray(details.title) ? details.title : [details.title];
+    const excludedKeys = [...titleKeys, ...details.fields.map(field => field.key), ...(details.exclude || [])];
+    return Object.entries(attrs)
+        .filter(([key]) => !excludedKeys.includes(key))
+        .filter(([, value]) => value !== undefined && value !== null && value !== '');
+}
+
+/**
+ * Move the camera onto a node, keeping the zoom level
+ *
+ * @param {Sigma} sigma - Sigma instance
+ * @param {string} node - Node to centre
+ * @param {number} duration - Animation duration in ms
+ */
+function centerCameraOnNode(sigma, node, duration = 500) {
+    const position = sigma.getNodeDisplayData(node);
+    if (!position) return;
+
+    sigma.getCamera().animate({ x: position.x, y: position.y }, { duration });
+}
+
+/**
+ * First non-empty attribute named by a title option
+ *
+ * @param {Object} attrs - Node or edge attributes
+ * @param {string|string[]} title - Attribute name, or names in order of preference
+ * @returns {string|null} Title text, or null when none of the attributes is set
+ */
+function pickTitle(attrs, title) {
+    const keys = Array.isArray(title) ? title : [title];
+    const key = keys.find(name => attrs[name] !== undefined && attrs[name] !== null && attrs[name] !== '');
+    return key === undefined ? null : String(attrs[key]);
+}
+
+/**
+ * Format the configured fields an element actually has
+ *
+ * @param {Object} attrs - Node or edge attributes
+ * @param {Object[]} fields - Normalized fields
+ * @returns {Object[]} Fields with a formatted value, in config order
+ */
+function getVisibleFields(attrs, fields) {
+    return fields
+        .filter(field => attrs[field.key] !== undefined && attrs[field.key] !== null && attrs[field.key] !== '')
+        .map(field => ({ ...field, value: formatFieldValue(attrs[field.key], field) }));
+}
+
+/**
+ * Format an attribute value for display
+ *
+ * Dates accept ISO strings and timestamps (seconds or milliseconds). Values that
+ * can't be read in the requested format are shown as plain text.
+ *
+ * @param {*} value - Attribute value
+ * @param {Object} field - Normalized field (see normalizeField)
+ * @returns {string|string[]} Display text; an array of lines for the multiline format
+ */
+function formatFieldValue(value, field) {
+    const { format, maxLength, decimals } = field;
+
+    if (format === 'multiline') {
+        return formatTooltipText(String(value), maxLength || Infinity);
+    }
+
+    let text;
+    const number = Number(value);
+    switch (format) {
+        case 'number':
+            text = Number.isFinite(number)
+                ? number.toLocaleString(undefined, decimals === null
+                    ? { maximumFractionDigits: 2 }
+                    : { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+                : String(value);
+            break;
+
+        case 'percent':
+            text = Number.isFinite(number)
+                ? number.toLocaleString(undefined, { style: 'percent', maximumFractionDigits: decimals ?? 0 })
+                : String(value);
+            break;
+
+        case 'date':
+        case 'datetime': {
+            // Numbers below 1e11 are Unix seconds, anything larger milliseconds
+            const date = typeof value === 'number'
+                ? new Date(value < 1e11 ? value * 1000 : value)
+                : new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                text = String(value);
+            } else {
+                text = format === 'date' ? date.toLocaleDateString() : date.toLocaleString();
+            }
+            break;
+        }
+
+        case 'list':
+            text = Array.isArray(value) ? value.join(', ') : String(value);
+            break;
+
+        case 'json':
+            text = JSON.stringify(value);
+            break;
+
+        default:
+            text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    return maxLength ? truncateText(text, maxLength) : text;
+}
+
+/**
+ * Create a JSON-safe copy of graph attributes for sending to Reflex
+ *
+ * Drops functions and undefined values, and any value that cannot be
+ * serialized (e.g. circular references), so the event payload never breaks.
+ *
+ * @param {Object} attributes - Node or edge attributes from Graphology
+ * @returns {Object} Plain serializable object
+ */
+function serializeAttributes(attributes) {
+    const result = {};
+    if (!attributes) return result;
+
+    Object.entries(attributes).forEach(([key, value]) => {
+        if (value === undefined || typeof value === 'function') return;
+        try {
+            result[key] = JSON.parse(JSON.stringify(value));
+        } catch (error) {
+            console.warn(`Skipping non-serializable attribute "${key}":`, error);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Tooltip Fields Component
+ * Renders formatted fields inside a hover tooltip
+ *
+ * Short values are "Label: value" lines; multiline values get their own block.
+ */
+function TooltipFields({ fields, theme }) {
+    return fields.map(field => (field.format === 'multiline' ? (
+        // Multi-line text (line breaks on <sep>) gets its own block
+        <div key={field.key} style={{
+            fontSize: '11px',
+            color: theme.overlayTextSecondary,
+            marginTop: '6px',
+            paddingTop: '6px',
+            borderTop: `1px solid ${theme.overlayBorder}`,
+            lineHeight: '1.4',
+            whiteSpace: 'normal',
+            wordWrap: 'break-word'
+        }}>
+            {field.label && (
+                <div style={{ color: theme.overlayAccent, opacity: 0.7, marginBottom: '4px' }}>{field.label}</div>
+            )}
+            {field.value.map((line, index) => (
+                <div key={index} style={{ marginBottom: index < field.value.length - 1 ? '4px' : '0' }}>
+                    {line}
+                </div>
+            ))}
+        </div>
+    ) : (
+        <div key={field.key} style={{
+            fontSize: '11px',
+            color: field.highlight ? theme.warningColor : theme.overlayAccent,
+            marginBottom: '4px',
+            wordWrap: 'break-word'
+        }}>
+            {field.label && <span style={{ opacity: 0.7 }}>{field.label}: </span>}
+            {field.value}
+        </div>
+    )));
+}
+
+/**
+ * Details Field Component
+ * Renders one formatted field as a labelled block in a details modal or panel
+ *
+ * Highlighted fields get the warning accent (used for keywords by default).
+ */
+function DetailsField({ field, theme }) {
+    const lines = Array.isArray(field.value) ? field.value : [field.value];
+
+    return (
+        <div style={{
+            marginBottom: '10px',
+            padding: '8px 10px',
+            background: field.highlight ? theme.warningSoft : theme.overlayPanel,
+            borderRadius: '6px',
+            borderLeft: field.highlight ? `2px solid ${theme.warningColor}` : 'none',
+        }}>
+            {field.label && (
+                <div style={{ fontSize: '10px', color: theme.overlayAccent, marginBottom: '3px', opacity: 0.8 }}>
+                    {field.label}
+                </div>
+            )}
+            <div style={{
+                fontSize: '12px',
+                color: field.highlight ? theme.warningColor : theme.overlayText,
+                fontStyle: field.highlight ? 'italic' : 'normal',
+                lineHeight: '1.5',
+                whiteSpace: 'pre-wrap',
+                wordWrap: 'break-word',
+            }}>
+                {lines.map((line, index) => (
+                    <div key={index} style={{ marginBottom: index < lines.length - 1 ? '6px' : '0' }}>
+                        {line}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Node Hover Handler Component
+ * Shows tooltips with enhanced node information on hover
+ *
+ * Content comes from the node_tooltip config (see resolveNodeTooltip): a title
+ * attribute, a list of formatted fields and the degree. The default displays the
+ * entity format - label, entity type, <sep>-separated description and importance.
+ * Computed centrality metrics (metrics prop) follow in their own block, unless the
+ * tooltip config already lists them as fields.
+ * A null tooltip config disables the tooltip (hover events still fire).
+ * Reports each hovered node to Reflex through the on_node_hover event
+ */
+function NodeHoverHandler({ theme, tooltip, metrics = [], emitEvent }) {
+    const sigma = useSigma();
+    const registerEvents = useRegisterEvents();
+    const [hoveredNode, setHoveredNode] = useState(null);
+    const [tooltipPosition, setTooltipPosition] = useState({ x: 0, y: 0 });
+
+    useEffect(() => {
+        const unregister = registerEvents({
+            enterNode: (e) => {
+                setHoveredNode(e.node);
+                const graph = sigma.getGraph();
+                emitEvent('onNodeHover', e.node, serializeAttributes(graph.getNodeAttributes(e.node)));
+                graph.setNodeAttribute(e.node, 'highlighted', true);
+            },
+            leaveNode: (e) => {
+                setHoveredNode(null);
+                // Only remove highlight if not from search
+                const attrs = sigma.getGraph().getNodeAttributes(e.node);
+                if (!attrs.searchHighlighted) {
+                    sigma.getGraph().removeNodeAttribute(e.node, 'highlighted');
+                }
+            },
+        });
+
+        return unregister;
+    }, [sigma, registerEvents, emitEvent]);
+
+    // Track mouse position for tooltip placement near cursor
+    useEffect(() => {
+        if (!tooltip) return;
+
+        const container = sigma.getContainer();
+
+        const handleMouseMove = (e) => {
+            const rect = container.getBoundingClientRect();
+            setTooltipPosition({
+                x: e.clientX - rect.left,
+                y: e.clientY - rect.top,
+            });
+        };
+
+        container.addEventListener('mousemove', handleMouseMove);
+
+        return () => {
+            container.removeEventListener('mousemove', handleMouseMove);
+        };
+    }, [sigma, tooltip]);
+
+    // Render tooltip - only when node is hovered and tooltips are enabled
+    if (!hoveredNode || !tooltip || !sigma.getGraph().hasNode(hoveredNode)) return null;
+
+    const attrs = sigma.getGraph().getNodeAttributes(hoveredNode);
+
+    // Truncate the title (label by default) if too long
+    const title = pickTitle(attrs, tooltip.title) ?? String(attrs.label ?? hoveredNode);
+    const displayLabel = tooltip.titleMaxLength ? truncateText(title, tooltip.titleMaxLength) : title;
+
+    // Formatted fields, skipping attributes the node doesn't have
+    const fields = getVisibleFields(attrs, tooltip.fields);
+    const metricFields = getVisibleFields(
+        attrs,
+        CENTRALITY_METRICS.filter(metric => metrics.includes(metric.key) && !tooltip.fields.some(field => field.key === metric.key))
+    );
+
+    return (
+        <div
+            style={{
+                position: 'absolute',
+                left: `${tooltipPosition.x + 15}px`,
+                top: `${tooltipPosition.y - 10}px`,
+                background: theme.overlayBackground,
+                color: theme.overlayText,
+                padding: '10px 14px',
+                borderRadius: '8px',
+                fontSize: '13px',
+                pointerEvents: 'none',
+                zIndex: 1000,
+                maxWidth: '320px',
+                boxShadow: `0 4px 12px ${theme.overlayShadow}`,
+                border: `1px solid ${theme.overlayBorder}`,
+            }}
+        >
+            {/* Title (label by default) - truncated to title_max_length */}
+            <div style={{
+                fontWeight: '600',
+                marginBottom: '6px',
+                fontSize: '14px',
+                color: theme.overlayText
+            }}>
+                {displayLabel}
+            </div>
+
+            <TooltipFields fields={fields} theme={theme} />
+
+            {/* Centrality metrics */}
+            {metricFields.length > 0 && (
+                <div style={{
+                    marginTop: '6px',
+                    paddingTop: '6px',
+                    borderTop: `1px solid ${theme.overlayBorder}`
+                }}>
+                    <TooltipFields fields={metricFields} theme={theme} />
+                </div>
+            )}
+
+            {/* Additional Info */}
+            {(tooltip.showDegree || attrs.fixed) && (
+                <div style={{
+                    fontSize: '10px',
+                    color: theme.overlayMuted,
+                    marginTop: '6px',
+                    paddingTop: '4px',
+                    borderTop: `1px solid ${theme.overlayBorder}`
+                }}>
+                    {tooltip.showDegree && `Connections: ${sigma.getGraph().degree(hoveredNode)}`}
+                    {tooltip.showDegree && attrs.fixed && ' • '}
+                    {attrs.fixed && '📌 Pinned (right-click to unpin)'}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Edge Hover Handler Component
+ * Shows tooltips with enhanced edge information on hover
+ *
+ * Displays:
+ * - Edge type/label
+ * - Source and target node names (if show_endpoints is set)
+ * - Weight (if available)
+ * - Description with <sep> tag support (if available)
+ *
+ * Title and fields come from the edge_tooltip prop (see resolveEdgeTooltip);
+ * with tooltips disabled only the on_edge_hover event is kept.
+ *
+ * Uses Sigma.js enterEdge/leaveEdge events for proper edge detection
+ * Reports each hovered edge to Reflex through the on_edge_hover event
+ */
+function EdgeHoverHandler({ theme, tooltip, emitEvent }) {
+    const sigma = useSigma();
+    const registerEvents = useRegisterEvents();
+    const [hoveredEdge, setHoveredEdge] = useState(null);
+    const [tooltipPosition, setTooltipPosition] = useState({ x: 0, y: 0 });
+
+    // Register edge hover events
+    useEffect(() => {
+        // CRITICAL FIX: useRegisterEvents returns a cleanup function, we need to call it on unmount
+        const unregister = registerEvents({
+            enterEdge: (e) => {
+                console.log('Edge hover enter:', e.edge);
+                setHoveredEdge(e.edge);
+                emitEvent('onEdgeHover', e.edge, serializeAttributes(sigma.getGraph().getEdgeAttributes(e.edge)));
+            },
+            leaveEdge: (e) => {
+                console.log('Edge hover leave:', e.edge);
+                setHoveredEdge(null);
+            },
+        });
+
+        // Return cleanup function to unregister events on unmount
+        return unregister;
+    }, [sigma, registerEvents, emitEvent]);
+
+    // Track mouse position for tooltip placement near cursor
+    useEffect(() => {
+        const container = sigma.getContainer();
+
+        const handleMouseMove = (e) => {
+            const rect = container.getBoundingClientRect();
+            setTooltipPosition({
+                x: e.clientX - rect.left,
+                y: e.clientY - rect.top,
+            });
+        };
+
+        container.addEventListener('mousemove', handleMouseMove);
+
+        return () => {
+            container.removeEventListener('mousemove', handleMouseMove);
+        };
+    }, [sigma]);
+
+    // Render tooltip - only when edge is hovered
+    if (!hoveredEdge || !tooltip) return null;
+
+    const graph = sigma.getGraph();
+
+    // Check if edge exists in graph before attempting to get attributes
+    if (!graph.hasEdge(hoveredEdge)) {
+        console.warn('EdgeHoverHandler: Edge not found in graph:', hoveredEdge);
+        return null;
+    }
+
+    const attrs = graph.getEdgeAttributes(hoveredEdge);
+
+    // Get source and target node information with safety checks
+    let source, target;
+    try {
+        const extremities = graph.extremities(hoveredEdge);
+        // CRITICAL FIX: extremities returns an ARRAY [source, target], not an object {source, target}
+        [source, target] = extremities;
+    } catch (error) {
+        console.warn('EdgeHoverHandler: Failed to get edge extremities:', error);
+        return null;
+    }
+
+    // Verify both nodes exist before getting attributes
+    if (!source || !target || !graph.hasNode(source) || !graph.hasNode(target)) {
+        console.warn('EdgeHoverHandler: Source or target node not found:', {
+            source,
+            target,
+            hasSource: source ? graph.hasNode(source) : false,
+            hasTarget: target ? graph.hasNode(target) : false,
+            allNodes: graph.nodes()
+        });
+        return null;
+    }
+
+    // Get edge title (priority: edgeType > label by default)
+    const title = pickTitle(attrs, tooltip.title) ?? 'Relationship';
+    const edgeLabel = tooltip.titleMaxLength ? truncateText(title, tooltip.titleMaxLength) : title;
+
+    // Formatted fields, skipping attributes the edge doesn't have
+    const fields = getVisibleFields(attrs, tooltip.fields);
+
+    return (
+        <div
+            style={{
                 position: 'absolute',
                 left: `${tooltipPosition.x + 15}px`,
                 top: `${tooltipPosition.y - 10}px`,
-                background: 'rgba(0, 0, 0, 0.9)',
-                color: 'white',
+                background: theme.overlayBackground,
+                color: theme.overlayText,
                 padding: '10px 14px',
                 borderRadius: '8px',
                 fontSize: '13px',
                 pointerEvents: 'none',
                 zIndex: 1000,
                 maxWidth: '320px',
-                boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)',
-                border: '1px solid rgba(255, 255, 255, 0.1)',
+                boxShadow: `0 4px 12px ${theme.overlayShadow}`,
+                border: `1px solid ${theme.overlayBorder}`,
             }}
         >
-            {/* Entity Name (Label) - Truncated to 50 chars */}
+            {/* Edge Type/Label */}
             <div style={{
                 fontWeight: '600',
                 marginBottom: '6px',
                 fontSize: '14px',
-                color: '#fff'
+                color: theme.overlayText
             }}>
-                {displayLabel}
+                {edgeLabel}
+            </div>
+
+            {/* Source → Target (if enabled) */}
+            {tooltip.showEndpoints && (
+                <div style={{
+                    fontSize: '11px',
+                    color: theme.overlayTextSecondary,
+                    marginBottom: '6px',
+                    wordWrap: 'break-word'
+                }}>
+                    <span style={{ color: theme.sourceColor }}>{graph.getNodeAttribute(source, 'label') || source}</span>
+                    {' → '}
+                    <span style={{ color: theme.targetColor }}>{graph.getNodeAttribute(target, 'label') || target}</span>
+                </div>
+            )}
+
+            <TooltipFields fields={fields} theme={theme} />
+        </div>
+    );
+}
+
+/**
+ * Details Dialog Component
+ * Shared shell of the edge and node details views
+ *
+ * variant "modal": centered dialog over a backdrop (click outside to close)
+ * variant "drawer": panel docked to the left of the graph, the graph stays usable
+ *
+ * Both close with the × button or the ESC key.
+ */
+function DetailsDialog({ variant, heading, theme, onClose, children }) {
+    // Handle ESC key to close
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                console.log('ESC pressed - closing details');
+                onClose();
+            }
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [onClose]);
+
+    // Handle click outside modal to close
+    const handleBackdropClick = useCallback((e) => {
+        // Close modal if clicking directly on backdrop (not on modal content)
+        if (e.target === e.currentTarget) {
+            console.log('Backdrop clicked - closing details');
+            onClose();
+        }
+    }, [onClose]);
+
+    const isDrawer = variant === 'drawer';
+
+    const content = (
+        <div
+            style={isDrawer ? {
+                position: 'absolute',
+                top: 0,
+                left: 0,
+                bottom: 0,
+                width: '320px',
+                maxWidth: '80%',
+                background: theme.modalBackground,
+                color: theme.overlayText,
+                padding: '16px 20px',
+                fontSize: '12px',
+                overflowY: 'auto',
+                boxShadow: `4px 0 16px ${theme.overlayShadow}`,
+                borderRight: `1px solid ${theme.overlayBorder}`,
+                zIndex: 1500,
+                boxSizing: 'border-box',
+            } : {
+                background: theme.modalBackground,
+                color: theme.overlayText,
+                padding: '16px 20px',
+                borderRadius: '8px',
+                fontSize: '12px',
+                maxWidth: '400px',
+                maxHeight: '60vh',
+                overflowY: 'auto',
+                boxShadow: `0 8px 32px ${theme.overlayShadow}`,
+                border: `1px solid ${theme.overlayBorder}`,
+                position: 'relative',
+            }}
+            onClick={(e) => e.stopPropagation()} // Prevent backdrop click when clicking modal content
+        >
+            {/* Close button */}
+            <button
+                onClick={onClose}
+                style={{
+                    position: 'absolute',
+                    top: '16px',
+                    right: '16px',
+                    background: 'transparent',
+                    border: 'none',
+                    color: theme.overlayMuted,
+                    fontSize: '24px',
+                    cursor: 'pointer',
+                    width: '32px',
+                    height: '32px',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    borderRadius: '4px',
+                    transition: 'all 0.2s',
+                }}
+                onMouseEnter={(e) => {
+                    e.target.style.background = theme.overlayPanel;
+                    e.target.style.color = theme.overlayText;
+                }}
+                onMouseLeave={(e) => {
+                    e.target.style.background = 'transparent';
+                    e.target.style.color = theme.overlayMuted;
+                }}
+                title="Close (ESC)"
+            >
+                ×
+            </button>
+
+            {/* Heading */}
+            <div style={{
+                fontWeight: '700',
+                marginBottom: '12px',
+                fontSize: '16px',
+                color: theme.overlayText,
+                paddingRight: '40px', // Space for close button
+                borderBottom: `1px solid ${theme.overlayBorder}`,
+                paddingBottom: '8px',
+            }}>
+                {heading}
+            </div>
+
+            {children}
+
+            {/* Footer hint */}
+            <div style={{
+                marginTop: '20px',
+                paddingTop: '12px',
+                borderTop: `1px solid ${theme.overlayBorder}`,
+                fontSize: '11px',
+                color: theme.overlayMuted,
+                textAlign: 'center',
+            }}>
+                {isDrawer ? 'Press ESC to close' : 'Click outside or press ESC to close'}
+            </div>
+        </div>
+    );
+
+    if (isDrawer) return content;
+
+    return (
+        <>
+            {/* Modal backdrop - semi-transparent overlay */}
+            <div
+                onClick={handleBackdropClick}
+                style={{
+                    position: 'fixed',
+                    top: 0,
+                    left: 0,
+                    right: 0,
+                    bottom: 0,
+                    background: theme.modalBackdrop,
+                    zIndex: 10000,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    padding: '20px',
+                }}
+            >
+                {content}
+            </div>
+        </>
+    );
+}
+
+/**
+ * Details Title Component
+ * Highlighted block at the top of a details view (relationship type, node name)
+ */
+function DetailsTitle({ label, value, subtitle, theme }) {
+    return (
+        <div style={{
+            marginBottom: '10px',
+            padding: '8px 10px',
+            background: theme.primarySoft,
+            borderRadius: '6px',
+            borderLeft: `2px solid ${theme.primaryColor}`,
+        }}>
+            <div style={{ fontSize: '10px', color: theme.overlayAccent, marginBottom: '3px', opacity: 0.8 }}>
+                {label}
+            </div>
+            <div style={{ fontSize: '13px', fontWeight: '600', color: theme.overlayText, wordWrap: 'break-word' }}>
+                {value}
+            </div>
+            {subtitle && (
+                <div style={{ fontSize: '11px', color: theme.overlayMuted, marginTop: '2px', wordWrap: 'break-word' }}>
+                    {subtitle}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Other Attributes Component
+ * "Additional Metadata" list of the attributes a details view doesn't show otherwise
+ */
+function OtherAttributes({ entries, theme }) {
+    if (entries.length === 0) return null;
+
+    return (
+        <div style={{
+            marginTop: '12px',
+            paddingTop: '10px',
+            borderTop: `1px solid ${theme.overlayBorder}`,
+        }}>
+            <div style={{ fontSize: '10px', color: theme.overlayAccent, marginBottom: '8px', opacity: 0.8, fontWeight: '600' }}>
+                Additional Metadata
+            </div>
+            <div style={{
+                display: 'grid',
+                gridTemplateColumns: 'auto 1fr',
+                gap: '6px 12px',
+                fontSize: '11px',
+            }}>
+                {entries.map(([key, value]) => (
+                    <React.Fragment key={key}>
+                        <div style={{ color: theme.overlayMuted, fontWeight: '500' }}>
+                            {key}:
+                        </div>
+                        <div style={{ color: theme.overlayTextSecondary, wordWrap: 'break-word' }}>
+                            {typeof value === 'object' ? JSON.stringify(value) : String(value)}
+                        </div>
+                    </React.Fragment>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Edge Click Handler Component
+ * Shows a modal dialog with full relationship details when an edge is clicked
+ *
+ * Displays in modal:
+ * - Relationship type (edge label)
+ * - Source entity → Target entity (full names with line breaks preserved)
+ * - Weight (if available)
+ * - Keywords (if available)
+ * - Full description (with <SEP> line breaks, NOT truncated)
+ * - All other relationship metadata
+ *
+ * Modal interaction:
+ * - Click edge: Opens modal with details
+ * - Click outside modal: Closes modal
+ * - Press ESC key: Closes modal
+ *
+ * The edge_details prop configures the modal (see resolveEdgeDetails). Its mode
+ * decides what a click does: "modal" or "drawer" shows the details and reports the
+ * click, "python" only reports it through on_edge_click, "none" ignores edge clicks.
+ */
+function EdgeClickHandler({ theme, details, onEdgeClick, emitEvent }) {
+    const sigma = useSigma();
+    const registerEvents = useRegisterEvents();
+    const [clickedEdge, setClickedEdge] = useState(null);
+    const showsDetails = details.mode === 'modal' || details.mode === 'drawer';
+
+    // Register edge click events
+    useEffect(() => {
+        // CRITICAL FIX: useRegisterEvents returns a cleanup function, we need to call it on unmount
+        const unregister = registerEvents({
+            clickEdge: (e) => {
+                if (details.mode === 'none') return;
+
+                console.log('Edge clicked:', e.edge);
+                if (showsDetails) {
+                    setClickedEdge(e.edge);
+                }
+                emitEvent('onEdgeClick', e.edge, serializeAttributes(sigma.getGraph().getEdgeAttributes(e.edge)));
+                if (onEdgeClick) {
+                    const original = e.event.original;
+                    onEdgeClick(e.edge, { additive: Boolean(original.ctrlKey || original.metaKey) });
+                }
+                // Prevent default to avoid triggering stage click
+                e.preventSigmaDefault();
+            },
+        });
+
+        // Return cleanup function to unregister events on unmount
+        return unregister;
+    }, [sigma, registerEvents, emitEvent, onEdgeClick, details.mode, showsDetails]);
+
+    // Close open details when they are switched off
+    useEffect(() => {
+        if (!showsDetails) {
+            setClickedEdge(null);
+        }
+    }, [showsDetails]);
+
+    const handleClose = useCallback(() => setClickedEdge(null), []);
+
+    // Render modal - only when edge is clicked
+    if (!clickedEdge) return null;
+
+    const graph = sigma.getGraph();
+
+    // Check if edge exists in graph before attempting to get attributes
+    if (!graph.hasEdge(clickedEdge)) {
+        console.warn('EdgeClickHandler: Edge not found in graph:', clickedEdge);
+        return null;
+    }
+
+    const attrs = graph.getEdgeAttributes(clickedEdge);
+
+    // Get source and target node information with safety checks
+    let source, target;
+    try {
+        const extremities = graph.extremities(clickedEdge);
+        // CRITICAL FIX: extremities returns an ARRAY [source, target], not an object {source, target}
+        [source, target] = extremities;
+    } catch (error) {
+        console.warn('EdgeClickHandler: Failed to get edge extremities:', error);
+        return null;
+    }
+
+    // Verify both nodes exist before getting attributes
+    if (!source || !target || !graph.hasNode(source) || !graph.hasNode(target)) {
+        console.warn('EdgeClickHandler: Source or target node not found:', { source, target });
+        return null;
+    }
+
+    const sourceAttrs = graph.getNodeAttributes(source);
+    const targetAttrs = graph.getNodeAttributes(target);
+
+    // Get full node names (NO truncation for modal)
+    const sourceName = sourceAttrs.label || source;
+    const targetName = targetAttrs.label || target;
+
+    // Get edge type/label (priority: edgeType > label by default, NO truncation unless configured)
+    const title = pickTitle(attrs, details.title) ?? 'Relationship';
+    const edgeLabel = details.titleMaxLength ? truncateText(title, details.titleMaxLength) : title;
+
+    // Formatted fields (multiline text split on <sep>, NO truncation unless configured)
+    const fields = getVisibleFields(attrs, details.fields);
+
+    return (
+        <DetailsDialog variant={details.mode} heading={details.heading} theme={theme} onClose={handleClose}>
+            <DetailsTitle label="Type" value={edgeLabel} theme={theme} />
+
+            {/* Source → Target with full names and line breaks */}
+            {details.showEndpoints && (
+                <div style={{
+                    marginBottom: '10px',
+                    padding: '8px 10px',
+                    background: theme.overlayPanel,
+                    borderRadius: '6px',
+                }}>
+                    <div style={{ fontSize: '10px', color: theme.overlayAccent, marginBottom: '6px', opacity: 0.8 }}>
+                        Connection
+                    </div>
+                    <div style={{
+                        fontSize: '12px',
+                        lineHeight: '1.5',
+                        display: 'flex',
+                        flexDirection: 'column',
+                        gap: '6px',
+                    }}>
+                        <div>
+                            <span style={{ color: theme.sourceColor, fontWeight: '600' }}>Source:</span>
+                            <div style={{ color: theme.overlayTextSecondary, marginTop: '2px', marginLeft: '6px', whiteSpace: 'pre-wrap', wordWrap: 'break-word' }}>
+                                {sourceName}
+                            </div>
+                        </div>
+                        <div style={{ textAlign: 'center', color: theme.overlayMuted, fontSize: '14px' }}>↓</div>
+                        <div>
+                            <span style={{ color: theme.targetColor, fontWeight: '600' }}>Target:</span>
+                            <div style={{ color: theme.overlayTextSecondary, marginTop: '2px', marginLeft: '6px', whiteSpace: 'pre-wrap', wordWrap: 'break-word' }}>
+                                {targetName}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Configured fields (weight, keywords, description by default) */}
+            {fields.map(field => (
+                <DetailsField key={field.key} field={field} theme={theme} />
+            ))}
+
+            {/* Other metadata (if any) */}
+            <OtherAttributes entries={getOtherAttributes(attrs, details)} theme={theme} />
+        </DetailsDialog>
+    );
+}
+
+/**
+ * Neighbour List Component
+ * Titled list of neighbour nodes; clicking one selects it in the details view
+ */
+function NeighborList({ title, nodes, limit, graph, theme, onSelect }) {
+    if (nodes.length === 0) return null;
+
+    const shown = limit > 0 ? nodes.slice(0, limit) : nodes;
+
+    return (
+        <div style={{ marginBottom: '8px' }}>
+            <div style={{ fontSize: '10px', color: theme.overlayAccent, marginBottom: '4px', opacity: 0.8 }}>
+                {title} ({nodes.length})
+            </div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+                {shown.map(neighbor => (
+                    <button
+                        key={neighbor}
+                        onClick={() => onSelect(neighbor)}
+                        title={neighbor}
+                        style={{
+                            background: theme.primarySoft,
+                            color: theme.primaryColor,
+                            border: 'none',
+                            borderRadius: '4px',
+                            padding: '2px 6px',
+                            fontSize: '11px',
+                            cursor: 'pointer',
+                            maxWidth: '100%',
+                            overflow: 'hidden',
+                            textOverflow: 'ellipsis',
+                            whiteSpace: 'nowrap',
+                        }}
+                    >
+                        {graph.getNodeAttribute(neighbor, 'label') || neighbor}
+                    </button>
+                ))}
+                {shown.length < nodes.length && (
+                    <span style={{ fontSize: '11px', color: theme.overlayMuted, padding: '2px 4px' }}>
+                        +{nodes.length - shown.length} more
+                    </span>
+                )}
             </div>
+        </div>
+    );
+}
+
+/**
+ * Node Details Handler Component
+ * Shows a side drawer (or modal) with everything known about the clicked node
+ *
+ * Displays:
+ * - Node title (label) and id
+ * - Configured fields, then all other attributes
+ * - Degree with incoming/outgoing counts
+ * - Outgoing, incoming and undirected neighbours as links - clicking one
+ *   re-centres the camera on it and shows its details
+ *
+ * Configured by the node_details prop (see resolveNodeDetails), which takes the
+ * same options as edge_details. The viewer decides which node is shown.
+ */
+function NodeDetailsHandler({ node, details, theme, onSelectNode, onClose }) {
+    const sigma = useSigma();
+
+    const handleSelect = useCallback((neighbor) => {
+        centerCameraOnNode(sigma, neighbor);
+        onSelectNode(neighbor);
+    }, [sigma, onSelectNode]);
+
+    if (!node || details.mode === 'none') return null;
+
+    const graph = sigma.getGraph();
+
+    // The node may have been removed by a graph_data update
+    if (!graph.hasNode(node)) return null;
+
+    const attrs = graph.getNodeAttributes(node);
+
+    const title = pickTitle(attrs, details.title) ?? node;
+    const displayTitle = details.titleMaxLength ? truncateText(title, details.titleMaxLength) : title;
+
+    const fields = getVisibleFields(attrs, details.fields);
+
+    const outgoing = graph.outNeighbors(node);
+    const incoming = graph.inNeighbors(node);
+    const undirected = graph.undirectedNeighbors(node);
+
+    return (
+        <DetailsDialog variant={details.mode} heading={details.heading} theme={theme} onClose={onClose}>
+            <DetailsTitle
+                label={attrs.fixed ? 'Node (pinned)' : 'Node'}
+                value={displayTitle}
+                subtitle={title !== node ? node : null}
+                theme={theme}
+            />
+
+            {/* Degree */}
+            {details.showDegree && (
+                <DetailsField
+                    field={{
+                        key: 'degree',
+                        label: 'Connections',
+                        value: graph.directedSize > 0
+                            ? `${graph.degree(node)} (${graph.inDegree(node)} in, ${graph.outDegree(node)} out)`
+                            : String(graph.degree(node)),
+                    }}
+                    theme={theme}
+                />
+            )}
+
+            {/* Configured fields */}
+            {fields.map(field => (
+                <DetailsField key={field.key} field={field} theme={theme} />
+            ))}
+
+            {/* Neighbours */}
+            {details.showNeighbors && (outgoing.length + incoming.length + undirected.length) > 0 && (
+                <div style={{
+                    marginBottom: '10px',
+                    padding: '8px 10px',
+                    background: theme.overlayPanel,
+                    borderRadius: '6px',
+                }}>
+                    <NeighborList title="Outgoing" nodes={outgoing} limit={details.neighborLimit}
+                        graph={graph} theme={theme} onSelect={handleSelect} />
+                    <NeighborList title="Incoming" nodes={incoming} limit={details.neighborLimit}
+                        graph={graph} theme={theme} onSelect={handleSelect} />
+                    <NeighborList title="Connected" nodes={undirected} limit={details.neighborLimit}
+                        graph={graph} theme={theme} onSelect={handleSelect} />
+                </div>
+            )}
+
+            {/* Other metadata (if any) */}
+            <OtherAttributes entries={getOtherAttributes(attrs, details)} theme={theme} />
+        </DetailsDialog>
+    );
+}
+
+/**
+ * Ray-casting point-in-polygon test
+ *
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {Array<{x: number, y: number}>} polygon - Polygon vertices
+ * @returns {boolean} True if the point is inside the polygon
+ */
+function isPointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Visible nodes drawn inside a polygon of viewport (pixel) coordinates
+ *
+ * @param {Sigma} sigma - Sigma instance
+ * @param {Array<{x: number, y: number}>} polygon - Polygon vertices in viewport coordinates
+ * @returns {string[]} Node ids
+ */
+function getNodesInViewportPolygon(sigma, polygon) {
+    if (polygon.length < 3) return [];
+
+    return sigma.getGraph().filterNodes((node) => {
+        const data = sigma.getNodeDisplayData(node);
+        if (!data || data.hidden) return false;
+
+        const { x, y } = sigma.framedGraphToViewport(data);
+        return isPointInPolygon(x, y, polygon);
+    });
+}
+
+/**
+ * Multi-Select Handler Component
+ * Box and lasso selection over the Sigma canvas
+ *
+ * Interaction:
+ * - Shift + drag on the background: rectangle selection
+ * - Shift + Alt + drag on the background: freehand lasso
+ * - Hold Ctrl/⌘ as well to add to the current selection instead of replacing it
+ *
+ * Every node drawn inside the shape is selected through onSelect.
+ */
+function MultiSelectHandler({ theme, onSelect }) {
+    const sigma = useSigma();
+    const registerEvents = useRegisterEvents();
+    const [shape, setShape] = useState(null);
+
+    useEffect(() => {
+        // { tool: 'box' | 'lasso', additive, points: [{x, y}] } while selecting
+        let current = null;
+
+        const unregister = registerEvents({
+            downStage: (e) => {
+                const original = e.event.original;
+                if (!original.shiftKey || original.button > 0) return;
+
+                current = {
+                    tool: original.altKey ? 'lasso' : 'box',
+                    additive: Boolean(original.ctrlKey || original.metaKey),
+                    points: [{ x: e.event.x, y: e.event.y }],
+                };
+                setShape({ ...current });
+
+                // Prevent camera drag while selecting
+                e.preventSigmaDefault();
+            },
+            mousemovebody: (e) => {
+                if (!current) return;
+
+                const point = { x: e.x, y: e.y };
+                if (current.tool === 'box') {
+                    current.points = [current.points[0], point];
+                } else {
+                    // Skip points closer than 3px to keep the lasso polygon small
+                    const last = current.points[current.points.length - 1];
+                    if (Math.hypot(point.x - last.x, point.y - last.y) < 3) return;
+                    current.points = [...current.points, point];
+                }
+                setShape({ ...current });
+
+                // Prevent camera drag
+                e.preventSigmaDefault();
+            },
+            mouseup: () => {
+                if (!current) return;
+
+                const { tool, additive, points } = current;
+                current = null;
+                setShape(null);
+
+                const polygon = tool === 'box' && points.length === 2
+                    ? [
+                        points[0],
+                        { x: points[1].x, y: points[0].y },
+                        points[1],
+                        { x: points[0].x, y: points[1].y },
+                    ]
+                    : points;
+                if (polygon.length < 3) return;
+
+                const nodes = getNodesInViewportPolygon(sigma, polygon);
+                console.log(`${tool} selection: ${nodes.length} nodes`);
+                onSelect(nodes, { additive });
+
+                // The click that follows this mouseup would clear the selection as a stage click
+                const container = sigma.getContainer();
+                const endedAt = Date.now();
+                container.addEventListener('click', (event) => {
+                    if (Date.now() - endedAt < 300) event.stopPropagation();
+                }, { capture: true, once: true });
+            },
+        });
+
+        return unregister;
+    }, [sigma, registerEvents, onSelect]);
+
+    if (!shape || shape.points.length < 2) return null;
+
+    const { points } = shape;
+    return (
+        <svg style={{
+            position: 'absolute',
+            top: 0,
+            left: 0,
+            width: '100%',
+            height: '100%',
+            pointerEvents: 'none',
+            zIndex: 500,
+        }}>
+            {shape.tool === 'box' ? (
+                <rect
+                    x={Math.min(points[0].x, points[1].x)}
+                    y={Math.min(points[0].y, points[1].y)}
+                    width={Math.abs(points[1].x - points[0].x)}
+                    height={Math.abs(points[1].y - points[0].y)}
+                    fill={theme.selectionColor}
+                    fillOpacity={0.1}
+                    stroke={theme.selectionColor}
+                    strokeDasharray="4 3"
+                />
+            ) : (
+                <polygon
+                    points={points.map(point => `${point.x},${point.y}`).join(' ')}
+                    fill={theme.selectionColor}
+                    fillOpacity={0.1}
+                    stroke={theme.selectionColor}
+                    strokeDasharray="4 3"
+                />
+            )}
+        </svg>
+    );
+}
+
+/**
+ * Selection Actions Component
+ * Bar at the bottom of the graph with bulk actions for the selected nodes
+ *
+ * Actions: pin / unpin (reported through on_node_pin / on_node_unpin), hide,
+ * show hidden nodes again, and clear the selection.
+ */
+function SelectionActions({ selectedNodes, theme, onSelectionChange, emitEvent }) {
+    const sigma = useSigma();
+    const graph = sigma.getGraph();
+    const [, setVersion] = useState(0);
+
+    const nodes = selectedNodes.filter(node => graph.hasNode(node));
+    const hiddenCount = graph.filterNodes((node, attrs) => attrs.hidden).length;
+
+    const setPinned = (pinned) => {
+        nodes.forEach((node) => {
+            if (setNodePinned(graph, node, pinned)) {
+                emitEvent(pinned ? 'onNodePin' : 'onNodeUnpin', node, serializeAttributes(graph.getNodeAttributes(node)));
+            }
+        });
+        setVersion(version => version + 1);
+    };
+
+    const hideSelected = () => {
+        nodes.forEach(node => graph.setNodeAttribute(node, 'hidden', true));
+        console.log(`Hid ${nodes.length} nodes`);
+        onSelectionChange([], []);
+    };
+
+    const showHidden = () => {
+        graph.forEachNode((node, attrs) => {
+            if (attrs.hidden) graph.removeNodeAttribute(node, 'hidden');
+        });
+        setVersion(version => version + 1);
+    };
+
+    if (nodes.length === 0 && hiddenCount === 0) return null;
+
+    const allPinned = nodes.length > 0 && nodes.every(node => graph.getNodeAttribute(node, 'fixed'));
+
+    const buttonStyle = {
+        background: 'transparent',
+        border: `1px solid ${theme.overlayBorder}`,
+        borderRadius: '4px',
+        color: theme.overlayText,
+        padding: '3px 8px',
+        fontSize: '11px',
+        cursor: 'pointer',
+    };
+
+    return (
+        <div style={{
+            position: 'absolute',
+            bottom: '12px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+            background: theme.overlayBackground,
+            color: theme.overlayText,
+            padding: '6px 10px',
+            borderRadius: '8px',
+            fontSize: '12px',
+            zIndex: 1000,
+            boxShadow: `0 4px 12px ${theme.overlayShadow}`,
+            border: `1px solid ${theme.overlayBorder}`,
+            whiteSpace: 'nowrap',
+        }}>
+            {nodes.length > 0 && (
+                <>
+                    <span style={{ color: theme.overlayAccent, marginRight: '4px' }}>
+                        {nodes.length} selected
+                    </span>
+                    <button style={buttonStyle} onClick={() => setPinned(!allPinned)}>
+                        {allPinned ? 'Unpin' : 'Pin'}
+                    </button>
+                    <button style={buttonStyle} onClick={hideSelected}>Hide</button>
+                    <button style={buttonStyle} onClick={() => onSelectionChange([], [])}>Clear</button>
+                </>
+            )}
+            {hiddenCount > 0 && (
+                <button style={buttonStyle} onClick={showHidden}>
+                    Show {hiddenCount} hidden
+                </button>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Calculate distance/depth from dragged node to all other nodes using BFS
+ * Returns a map: node -> depth (0 = dragged node, 1 = neighbor, 2 = neighbor's neighbor, etc.)
+ */
+function calculateNodeDepths(graph, sourceNode) {
+    const depths = new Map();
+    const queue = [[sourceNode, 0]];
+    depths.set(sourceNode, 0);
+
+    while (queue.length > 0) {
+        const [node, depth] = queue.shift();
+
+        // Get all neighbors (both incoming and outgoing edges)
+        graph.forEachNeighbor(node, (neighbor) => {
+            if (!depths.has(neighbor)) {
+                depths.set(neighbor, depth + 1);
+                queue.push([neighbor, depth + 1]);
+            }
+        });
+    }
+
+    return depths;
+}
+
+/**
+ * Calculate influence factor based on depth
+ * Depth 0 (dragged): 1.0 (100% movement)
+ * Depth 1 (1st degree): 0.6 (60% movement)
+ * Depth 2 (2nd degree): 0.3 (30% movement)
+ * Depth 3+: 0.1 (10% movement)
+ */
+function getInfluenceFactor(depth) {
+    if (depth === 0) return 1.0;
+    if (depth === 1) return 0.6;
+    if (depth === 2) return 0.3;
+    return 0.1;
+}
+
+/**
+ * Node Drag Handler Component - Hierarchical Cluster Drag with Ripple Effect
+ *
+ * Implements smooth, animated node dragging with neighbor influence:
+ * - Dragged node: Follows cursor with spring animation (100% movement)
+ * - 1st-degree neighbors: Follow at 60% of dragged node's movement
+ * - 2nd-degree neighbors: Follow at 30% of dragged node's movement
+ * - 3rd+ degree neighbors: Follow at 10% of dragged node's movement
+ * - Creates a "ripple effect" where influence decreases with distance
+ * - Scale animation on grab/release for visual feedback
+ * - Optional position locking via dragNeighbors prop:
+ *   - When false: Layout algorithm continues to adjust node after drag
+ *   - When true: Node is pinned after drag (fixed: true, reported through on_node_pin)
+ * - Pinned neighbours are left out of the ripple
+ * - Dragging a node of a multi-node selection moves the whole selection rigidly
+ *   (no ripple); with dragNeighbors every moved node is pinned
+ *
+ * Animation parameters:
+ * - Spring stiffness: 0.3 (how responsive the animation is)
+ * - Grab scale: 1.5x (node enlarges when grabbed)
+ * - Release bounce: Smooth spring-back to normal size
+ */
+function NodeDragHandler({ dragNeighbors = false, selectedNodes = [], onNodeClick = null, emitEvent }) {
+    const sigma = useSigma();
+    const registerEvents = useRegisterEvents();
+    const [draggedNode, setDraggedNode] = useState(null);
+    const dragStartPosRef = useRef(null);
+    const animationFrameRef = useRef(null);
+    const targetPosRef = useRef(null);
+    const currentPosRef = useRef(null);
+    const nodeDepthsRef = useRef(null);
+    const affectedNodesRef = useRef(null);
+    const groupOffsetsRef = useRef(null);
+
+    // Latest selection, read on grab (no re-registration when it changes)
+    const selectedNodesRef = useRef(selectedNodes);
+    selectedNodesRef.current = selectedNodes;
+
+    // Animation loop for smooth dragging with spring physics and neighbor influence
+    const animateDrag = useCallback((node, graph) => {
+        if (!targetPosRef.current || !currentPosRef.current || !nodeDepthsRef.current || !affectedNodesRef.current) return;
+
+        const spring = 0.3; // Spring stiffness (0-1, higher = more responsive)
+        const damping = 0.8; // Damping factor (0-1, lower = more bounce)
+
+        // Calculate spring force for main dragged node
+        const dx = targetPosRef.current.x - currentPosRef.current.x;
+        const dy = targetPosRef.current.y - currentPosRef.current.y;
+
+        // Apply spring physics to dragged node
+        currentPosRef.current.vx = (currentPosRef.current.vx || 0) * damping + dx * spring;
+        currentPosRef.current.vy = (currentPosRef.current.vy || 0) * damping + dy * spring;
+
+        currentPosRef.current.x += currentPosRef.current.vx;
+        currentPosRef.current.y += currentPosRef.current.vy;
+
+        // Update dragged node position
+        graph.setNodeAttribute(node, 'x', currentPosRef.current.x);
+        graph.setNodeAttribute(node, 'y', currentPosRef.current.y);
+
+        // Selection drag - the other selected nodes keep their offset to the dragged node
+        if (groupOffsetsRef.current) {
+            groupOffsetsRef.current.forEach(({ dx: offsetX, dy: offsetY }, member) => {
+                graph.setNodeAttribute(member, 'x', currentPosRef.current.x + offsetX);
+                graph.setNodeAttribute(member, 'y', currentPosRef.current.y + offsetY);
+            });
+        }
+
+        // Calculate how much the dragged node moved in this frame
+        const movementDx = currentPosRef.current.vx;
+        const movementDy = currentPosRef.current.vy;
+
+        // Apply ripple effect to all affected neighbors based on depth
+        affectedNodesRef.current.forEach((affectedNode) => {
+            if (affectedNode === node) return; // Skip dragged node itself
+            if (groupOffsetsRef.current) return; // Selection drags move rigidly
+            if (graph.getNodeAttribute(affectedNode, 'fixed')) return; // Pinned nodes stay put
+
+            const depth = nodeDepthsRef.current.get(affectedNode);
+            const influence = getInfluenceFactor(depth);
+
+            // Move neighbor proportional to influence
+            const currentX = graph.getNodeAttribute(affectedNode, 'x');
+            const currentY = graph.getNodeAttribute(affectedNode, 'y');
+
+            graph.setNodeAttribute(affectedNode, 'x', currentX + movementDx * influence);
+            graph.setNodeAttribute(affectedNode, 'y', currentY + movementDy * influence);
+        });
+
+        // Continue animation if still moving
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist > 0.1) { // Continue until very close to target
+            animationFrameRef.current = requestAnimationFrame(() => animateDrag(node, graph));
+        }
+    }, []);
+
+    useEffect(() => {
+        let isDragging = false;
+        let currentNode = null;
+        let originalSize = null;
+
+        // Register event handlers for node dragging
+        registerEvents({
+            downNode: (e) => {
+                // Only the primary button drags - right-click is for pinning
+                if (e.event.original.button > 0) return;
+
+                console.log('Node down:', e.node);
+
+                // Start potential drag
+                currentNode = e.node;
+                setDraggedNode(e.node);
+                isDragging = false; // Not dragging yet, waiting for movement
+
+                const graph = sigma.getGraph();
+
+                // Grabbing a node stops any running position transition
+                cancelLayoutAnimation(graph);
+
+                // Store initial position to detect drag vs click
+                const nodeX = graph.getNodeAttribute(e.node, 'x');
+                const nodeY = graph.getNodeAttribute(e.node, 'y');
+
+                dragStartPosRef.current = { x: nodeX, y: nodeY };
+                currentPosRef.current = { x: nodeX, y: nodeY, vx: 0, vy: 0 };
+                targetPosRef.current = { x: nodeX, y: nodeY };
+
+                // Calculate depths of all connected nodes using BFS
+                nodeDepthsRef.current = calculateNodeDepths(graph, e.node);
+
+                // Store all affected nodes (all nodes up to depth 3)
+                affectedNodesRef.current = Array.from(nodeDepthsRef.current.keys()).filter(
+                    node => nodeDepthsRef.current.get(node) <= 3
+                );
+
+                // Grabbing a node of a multi-node selection drags the whole selection
+                const selection = selectedNodesRef.current;
+                groupOffsetsRef.current = null;
+                if (selection.length > 1 && selection.includes(e.node)) {
+                    groupOffsetsRef.current = new Map();
+                    selection.forEach((member) => {
+                        if (member === e.node || !graph.hasNode(member)) return;
+                        if (graph.getNodeAttribute(member, 'fixed')) return; // Pinned nodes stay put
+                        groupOffsetsRef.current.set(member, {
+                            dx: graph.getNodeAttribute(member, 'x') - nodeX,
+                            dy: graph.getNodeAttribute(member, 'y') - nodeY,
+                        });
+                    });
+                }
+
+                console.log(`Dragging ${e.node}: ${affectedNodesRef.current.length} nodes affected`);
+
+                // Highlight the node and animate scale up
+                graph.setNodeAttribute(e.node, 'highlighted', true);
+
+                // Store original size and scale up node on grab
+                originalSize = graph.getNodeAttribute(e.node, 'size');
+                graph.setNodeAttribute(e.node, 'size', originalSize * 1.5);
+
+                // Prevent camera drag when interacting with a node
+                e.preventSigmaDefault();
+            },
+            mousemovebody: (e) => {
+                // Only update position if we're actively dragging
+                if (!currentNode) return;
+
+                // Get current mouse position in graph coordinates
+                const pos = sigma.viewportToGraph(e);
+
+                const graph = sigma.getGraph();
+
+                // Check if mouse moved significantly (threshold for drag vs click)
+                const dx = pos.x - dragStartPosRef.current.x;
+                const dy = pos.y - dragStartPosRef.current.y;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+
+                if (dist > 5) { // Threshold: 5 units of movement = drag
+                    isDragging = true;
+                }
+
+                if (isDragging) {
+                    // Update target position for smooth animation
+                    targetPosRef.current = { x: pos.x, y: pos.y };
+
+                    // Cancel previous animation frame and start new one
+                    if (animationFrameRef.current) {
+                        cancelAnimationFrame(animationFrameRef.current);
+                    }
+                    animationFrameRef.current = requestAnimationFrame(() => animateDrag(currentNode, graph));
+                }
+
+                // Prevent camera drag
+                e.preventSigmaDefault();
+            },
+            mouseup: (e) => {
+                console.log('Node mouse up, isDragging:', isDragging);
+
+                // Handle drag end or click
+                if (currentNode) {
+                    const graph = sigma.getGraph();
+
+                    // Cancel animation
+                    if (animationFrameRef.current) {
+                        cancelAnimationFrame(animationFrameRef.current);
+                        animationFrameRef.current = null;
+                    }
+
+                    // Remove highlight from node
+                    graph.removeNodeAttribute(currentNode, 'highlighted');
+
+                    // Animate scale back to original size (bounce effect)
+                    if (originalSize) {
+                        graph.setNodeAttribute(currentNode, 'size', originalSize);
+                    }
+
+                    if (isDragging) {
+                        // This was a drag operation
+                        console.log('Node drag ended');
+
+                        // If dragNeighbors is true, pin the node (and a dragged selection) where it was dropped
+                        if (dragNeighbors) {
+                            [currentNode, ...(groupOffsetsRef.current?.keys() || [])].forEach((node) => {
+                                if (setNodePinned(graph, node, true)) {
+                                    console.log('Node position locked:', node);
+                                    emitEvent('onNodePin', node, serializeAttributes(graph.getNodeAttributes(node)));
+                                }
+                            });
+                        }
+                        schedulePositionsReport(graph, emitEvent);
+                    } else {
+                        // This was a click (no significant movement)
+                        console.log('Node clicked:', currentNode);
+
+                        // Trigger click handler if provided (Ctrl/⌘-click adds to the selection)
+                        if (onNodeClick) {
+                            const original = e.original;
+                            onNodeClick(currentNode, serializeAttributes(graph.getNodeAttributes(currentNode)), {
+                                additive: Boolean(original.ctrlKey || original.metaKey),
+                            });
+                        }
+                    }
+
+                    setDraggedNode(null);
+                    isDragging = false;
+                    currentNode = null;
+                    originalSize = null;
+                    dragStartPosRef.current = null;
+                    targetPosRef.current = null;
+                    currentPosRef.current = null;
+                    nodeDepthsRef.current = null;
+                    affectedNodesRef.current = null;
+                    groupOffsetsRef.current = null;
+                }
+            },
+            // Also handle mouse leaving the canvas
+            mouseout: (e) => {
+                if (currentNode) {
+                    console.log('Mouse left canvas while interacting');
+
+                    const graph = sigma.getGraph();
+
+                    // Cancel animation
+                    if (animationFrameRef.current) {
+                        cancelAnimationFrame(animationFrameRef.current);
+                        animationFrameRef.current = null;
+                    }
+
+                    // Remove highlight from node
+                    graph.removeNodeAttribute(currentNode, 'highlighted');
+
+                    // Restore original size
+                    if (originalSize) {
+                        graph.setNodeAttribute(currentNode, 'size', originalSize);
+                    }
+
+                    // Lock position if dragNeighbors is true and we were dragging
+                    if (isDragging && dragNeighbors) {
+                        [currentNode, ...(groupOffsetsRef.current?.keys() || [])].forEach((node) => {
+                            if (setNodePinned(graph, node, true)) {
+                                emitEvent('onNodePin', node, serializeAttributes(graph.getNodeAttributes(node)));
+                            }
+                        });
+                    }
+                    if (isDragging) schedulePositionsReport(graph, emitEvent);
+
+                    setDraggedNode(null);
+                    isDragging = false;
+                    currentNode = null;
+                    originalSize = null;
+                    dragStartPosRef.current = null;
+                    targetPosRef.current = null;
+                    currentPosRef.current = null;
+                    nodeDepthsRef.current = null;
+                    affectedNodesRef.current = null;
+                    groupOffsetsRef.current = null;
+                }
+            },
+        });
+
+        // Cleanup on unmount
+        return () => {
+            if (animationFrameRef.current) {
+                cancelAnimationFrame(animationFrameRef.current);
+            }
+        };
+    }, [sigma, registerEvents, dragNeighbors, onNodeClick, emitEvent, animateDrag]); // Re-register when props change
+
+    return null;
+}
+
+/**
+ * Selection Highlighting Component
+ * Highlights the selected nodes and edges and the selected nodes' 1st-degree neighbors,
+ * dims all other nodes
+ *
+ * The selection comes from the selected_nodes / selected_edges props or from clicks
+ * (see the interaction modes in SigmaGraphViewer).
+ *
+ * Interaction:
+ * - Click background: clear the selection (unless onClear is null)
+ *
+ * Not rendered in the "path" interaction mode. Runs as the "selection" reducer layer,
+ * on top of the search highlighting.
+ */
+function SelectionHighlighter({ selectedNodes, selectedEdges, onClear, theme = THEMES.light }) {
+    const sigma = useSigma();
+    const registerEvents = useRegisterEvents();
+    const [graphVersion, setGraphVersion] = useState(0);
+
+    // Re-apply when nodes/edges come and go - a selection from Python may arrive before the data
+    useEffect(() => {
+        const graph = sigma.getGraph();
+        const events = ['nodeAdded', 'edgeAdded', 'nodeDropped', 'edgeDropped', 'cleared'];
+        const bump = () => setGraphVersion(version => version + 1);
+
+        events.forEach(event => graph.on(event, bump));
+        return () => {
+            events.forEach(event => graph.off(event, bump));
+        };
+    }, [sigma]);
+
+    // Register click on stage (background) to clear selection
+    useEffect(() => {
+        if (!onClear) return undefined;
+
+        const unregister = registerEvents({
+            clickStage: () => {
+                console.log('Stage clicked - clearing selection');
+                onClear();
+            }
+        });
+
+        return unregister;
+    }, [registerEvents, onClear]);
+
+    // Drop the highlight when the mode changes (component unmounts)
+    useEffect(() => {
+        return () => {
+            setReducerLayer(sigma, 'selection', null);
+        };
+    }, [sigma]);
+
+    // Apply highlighting effect based on the selection
+    useEffect(() => {
+        const graph = sigma.getGraph();
+
+        // Ids from Python may not exist (yet) - ignore them
+        const nodes = new Set(selectedNodes.filter(node => graph.hasNode(node)));
+        const edges = new Set(selectedEdges.filter(edge => graph.hasEdge(edge)));
+
+        if (nodes.size > 0 || edges.size > 0) {
+            console.log('Applying highlight to', nodes.size, 'nodes,', edges.size, 'edges and neighbors');
+
+            // Selected nodes, their neighbors and the endpoints of selected edges stay visible
+            const neighbors = new Set(nodes);
+            nodes.forEach(node => graph.forEachNeighbor(node, neighbor => neighbors.add(neighbor)));
+            edges.forEach(edge => graph.extremities(edge).forEach(node => neighbors.add(node)));
+
+            console.log('Highlighted nodes count:', neighbors.size);
+
+            // Node reducer dims non-highlighted nodes
+            const nodeReducer = (node, data) => {
+                if (nodes.has(node)) {
+                    // Selected nodes - emphasized
+                    return {
+                        ...data,
+                        size: data.size * 1.3,
+                        borderColor: theme.selectionColor,
+                        borderSize: 3,
+                        forceLabel: true,
+                        zIndex: 2,
+                    };
+                } else if (neighbors.has(node)) {
+                    // Keep highlighted nodes normal
+                    return {
+                        ...data,
+                        zIndex: 1, // Bring to front
+                    };
+                } else {
+                    // Dim non-highlighted nodes
+                    return {
+                        ...data,
+                        color: theme.dimmedNodeColor,
+                        label: data.label, // Keep label but it will be dimmed
+                        zIndex: 0,
+                    };
+                }
+            };
 
-            {/* Entity Type */}
-            {attrs.entity_type && (
-                <div style={{
-                    fontSize: '11px',
-                    color: '#a8dadc',
-                    marginBottom: '4px'
-                }}>
-                    <span style={{ opacity: 0.7 }}>Type:</span> {attrs.entity_type}
-                </div>
-            )}
+            // Edge reducer only shows edges connected to highlighted nodes
+            const edgeReducer = (edge, data) => {
+                if (edges.has(edge)) {
+                    // Selected edges - drawn in the selection color
+                    return {
+                        ...data,
+                        color: theme.selectionColor,
+                        size: (data.size || 1) * 2,
+                        zIndex: 2,
+                    };
+                }
 
-            {/* Description (if available) - With line breaks on <sep> and truncation */}
-            {descriptionLines.length > 0 && (
-                <div style={{
-                    fontSize: '11px',
-                    color: '#e0e0e0',
-                    marginTop: '6px',
-                    paddingTop: '6px',
-                    borderTop: '1px solid rgba(255, 255, 255, 0.15)',
-                    lineHeight: '1.4',
-                    whiteSpace: 'normal',
-                    wordWrap: 'break-word'
-                }}>
-                    {descriptionLines.map((line, index) => (
-                        <div key={index} style={{ marginBottom: index < descriptionLines.length - 1 ? '4px' : '0' }}>
-                            {line}
-                        </div>
-                    ))}
-                </div>
-            )}
+                const [source, target] = graph.extremities(edge);
 
-            {/* Additional Info */}
-            <div style={{
-                fontSize: '10px',
-                color: '#888',
-                marginTop: '6px',
-                paddingTop: '4px',
-                borderTop: '1px solid rgba(255, 255, 255, 0.1)'
-            }}>
-                Connections: {sigma.getGraph().degree(hoveredNode)}
-                {attrs.importance && ` • Importance: ${attrs.importance}`}
-            </div>
-        </div>
-    );
+                if (neighbors.has(source) || neighbors.has(target)) {
+                    // Keep edges to/from highlighted nodes visible
+                    return data;
+                } else {
+                    // Hide or dim edges between non-highlighted nodes
+                    return {
+                        ...data,
+                        hidden: true,
+                    };
+                }
+            };
+
+            setReducerLayer(sigma, 'selection', { nodeReducer, edgeReducer });
+        } else {
+            // No selection - reset to normal rendering
+            console.log('Clearing highlight - showing all nodes normally');
+            setReducerLayer(sigma, 'selection', null);
+        }
+
+        // Refresh the display
+        sigma.refresh();
+    }, [sigma, selectedNodes, selectedEdges, theme, graphVersion]);
+
+    return null;
 }
 
+// Shortest path algorithms: hop count, sum of a weight attribute, or sum of 1 / weight
+// (strong links are "short")
+const PATH_ALGORITHMS = ['unweighted', 'dijkstra', 'inverse'];
+
+// Which paths to look for: the best one, the K best loopless ones (Yen), or every
+// simple path up to maxHops
+const PATH_SEARCHES = ['shortest', 'k_shortest', 'all_simple'];
+
+// Colors of the 2nd, 3rd... path when several are shown (the 1st uses the theme's pathColor)
+const ALTERNATIVE_PATH_COLORS = ['#3b82f6', '#a855f7', '#14b8a6', '#eab308', '#ec4899', '#84cc16', '#06b6d4', '#f43f5e'];
+
+// Default path_options
+const DEFAULT_PATH_OPTIONS = {
+    algorithm: 'unweighted',
+    weightAttribute: 'weight',
+    edgeTypes: [],
+    edgeTypeAttribute: 'edgeType',
+    excludeNodes: [],
+    search: 'shortest',
+    k: 3,
+    maxHops: 4,
+    maxPaths: 50,
+};
+
+// Validator of each path_options entry (see resolveOptions)
+const PATH_OPTIONS_VALIDATORS = {
+    algorithm: {
+        description: `one of ${PATH_ALGORITHMS.map(name => `"${name}"`).join(', ')}`,
+        isValid: value => PATH_ALGORITHMS.includes(value),
+    },
+    weightAttribute: {
+        description: 'an attribute name',
+        isValid: value => typeof value === 'string' && value.length > 0,
+    },
+    edgeTypes: {
+        description: 'a list of edge types',
+        isValid: value => Array.isArray(value),
+    },
+    edgeTypeAttribute: {
+        description: 'an attribute name',
+        isValid: value => typeof value === 'string' && value.length > 0,
+    },
+    excludeNodes: {
+        description: 'a list of node ids',
+        isValid: value => Array.isArray(value),
+    },
+    search: {
+        description: `one of ${PATH_SEARCHES.map(name => `"${name}"`).join(', ')}`,
+        isValid: value => PATH_SEARCHES.includes(value),
+    },
+    k: SETTING_VALIDATORS.positiveInteger,
+    maxHops: SETTING_VALIDATORS.positiveInteger,
+    maxPaths: SETTING_VALIDATORS.positiveInteger,
+};
+
 /**
- * Edge Hover Handler Component
- * Shows tooltips with enhanced edge information on hover
+ * Resolve the path_options prop against DEFAULT_PATH_OPTIONS
  *
- * Displays:
- * - Edge type/label
- * - Source and target node names
- * - Weight (if available)
- * - Description with <sep> tag support (if available)
- * - Keywords (if available)
+ * Keys may be snake_case or camelCase; unknown keys and invalid values are
+ * ignored with a console warning.
  *
- * Uses Sigma.js enterEdge/leaveEdge events for proper edge detection
+ * @param {Object} config - path_options from Python
+ * @returns {Object} { algorithm, weightAttribute, edgeTypes, edgeTypeAttribute, excludeNodes, search, k, maxHops, maxPaths }
+ */
+function resolvePathOptions(config) {
+    return resolveOptions(DEFAULT_PATH_OPTIONS, PATH_OPTIONS_VALIDATORS, config, 'path_options');
+}
+
+/**
+ * Cost of traversing an edge for the given path options
+ *
+ * Missing or non-numeric weights count as 1; negative weights as 0 for Dijkstra.
+ * With "inverse", edges of weight <= 0 cannot be traversed (Infinity).
+ */
+function getPathEdgeCost(attrs, options) {
+    if (options.algorithm === 'unweighted') return 1;
+
+    const weight = Number(attrs[options.weightAttribute]);
+    const value = attrs[options.weightAttribute] !== undefined && Number.isFinite(weight) ? weight : 1;
+
+    if (options.algorithm === 'inverse') return value > 0 ? 1 / value : Infinity;
+    return Math.max(value, 0);
+}
+
+/**
+ * Shortest path between two nodes under the given algorithm and constraints
+ *
+ * Follows edges in their direction (undirected edges both ways), like graphology's
+ * bidirectional search. Only edges whose type is in edgeTypes (if any) are used and
+ * excludeNodes are never visited. The plain unweighted case uses graphology's
+ * bidirectional BFS; everything else a Dijkstra search with a binary heap.
+ *
+ * @param {Graph} graph - Graphology graph
+ * @param {string} source - Start node
+ * @param {string} target - End node
+ * @param {Object} options - Resolved path options (see resolvePathOptions)
+ * @param {{nodes: Set, edges: Set}} [blocked] - Extra nodes/edges to avoid (used by findKShortestPaths)
+ * @returns {{nodes: string[], edges: string[], hops: number, cost: number}|null} Path, or null if none
+ */
+function findShortestPath(graph, source, target, options = DEFAULT_PATH_OPTIONS, blocked = null) {
+    if (!graph.hasNode(source) || !graph.hasNode(target)) return null;
+
+    const excluded = new Set(options.excludeNodes);
+    blocked?.nodes.forEach(node => excluded.add(node));
+    if (excluded.has(source) || excluded.has(target)) return null;
+
+    const allowedTypes = options.edgeTypes.length > 0 ? new Set(options.edgeTypes) : null;
+    const isEdgeAllowed = (attrs, edge) => (!allowedTypes || allowedTypes.has(attrs[options.edgeTypeAttribute]))
+        && !(blocked && blocked.edges.has(edge));
+
+    // Cheapest usable edge from node to neighbor (several edges may join them)
+    const pickEdge = (node, neighbor) => {
+        let best = null;
+        graph.forEachOutboundEdge(node, neighbor, (edge, attrs) => {
+            if (!isEdgeAllowed(attrs, edge)) return;
+            const cost = getPathEdgeCost(attrs, options);
+            if (!best || cost < best.cost) best = { edge, cost };
+        });
+        return best;
+    };
+
+    // Fast path - no weights, no constraints
+    if (options.algorithm === 'unweighted' && !allowedTypes && excluded.size === 0 && !blocked) {
+        const nodes = bidirectional(graph, source, target);
+        if (!nodes) return null;
+
+        const edges = nodes.slice(1).map((node, i) => pickEdge(nodes[i], node).edge);
+        return { nodes, edges, hops: edges.length, cost: edges.length };
+    }
+
+    // Dijkstra - heap of [distance, node]
+    const distances = new Map([[source, 0]]);
+    const previous = new Map();
+    const done = new Set();
+    const heap = [[0, source]];
+
+    const push = (entry) => {
+        heap.push(entry);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent][0] <= heap[i][0]) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    };
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+                if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    };
+
+    while (heap.length > 0) {
+        const [distance, node] = pop();
+        if (done.has(node)) continue;
+        done.add(node);
+        if (node === target) break;
+
+        graph.forEachOutboundEdge(node, (edge, attrs, edgeSource, edgeTarget) => {
+            const neighbor = edgeSource === node ? edgeTarget : edgeSource;
+            if (neighbor === node || done.has(neighbor) || excluded.has(neighbor) || !isEdgeAllowed(attrs, edge)) return;
+
+            const cost = getPathEdgeCost(attrs, options);
+            if (cost === Infinity) return;
+
+            const next = distance + cost;
+            if (!distances.has(neighbor) || next < distances.get(neighbor)) {
+                distances.set(neighbor, next);
+                previous.set(neighbor, { node, edge });
+                push([next, neighbor]);
+            }
+        });
+    }
+
+    if (!done.has(target)) return null;
+
+    // Walk back from the target
+    const nodes = [target];
+    const edges = [];
+    while (nodes[0] !== source) {
+        const step = previous.get(nodes[0]);
+        nodes.unshift(step.node);
+        edges.unshift(step.edge);
+    }
+
+    return { nodes, edges, hops: edges.length, cost: distances.get(target) };
+}
+
+/**
+ * Order paths by cost, then hop count
+ */
+function comparePaths(a, b) {
+    return a.cost - b.cost || a.hops - b.hops;
+}
+
+/**
+ * Up to k loopless paths in increasing cost order (Yen's algorithm)
+ *
+ * Each round takes every node of the previous path as a spur node, blocks the
+ * edges already used by found paths sharing the same root, and searches a
+ * spur path with findShortestPath.
+ *
+ * @returns {Array<{nodes, edges, hops, cost}>} Paths, best first (empty if none)
+ */
+function findKShortestPaths(graph, source, target, options) {
+    const first = findShortestPath(graph, source, target, options);
+    if (!first) return [];
+
+    const found = [first];
+    const candidates = [];
+    const seen = new Set([first.edges.join('\u0000')]);
+    const edgeCost = edge => getPathEdgeCost(graph.getEdgeAttributes(edge), options);
+
+    while (found.length < options.k) {
+        const previous = found[found.length - 1];
+
+        for (let i = 0; i < previous.nodes.length - 1; i++) {
+            const spurNode = previous.nodes[i];
+            const rootNodes = previous.nodes.slice(0, i + 1);
+            const rootEdges = previous.edges.slice(0, i);
+
+            // Block the next edge of every found path with the same root, and the root itself
+            const blocked = { nodes: new Set(rootNodes.slice(0, -1)), edges: new Set() };
+            found.forEach((path) => {
+                if (path.nodes.length > i + 1 && rootNodes.every((node, j) => path.nodes[j] === node)) {
+                    blocked.edges.add(path.edges[i]);
+                }
+            });
+
+            const spurPath = findShortestPath(graph, spurNode, target, options, blocked);
+            if (!spurPath) continue;
+
+            const edges = [...rootEdges, ...spurPath.edges];
+            const key = edges.join('\u0000');
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            candidates.push({
+                nodes: [...rootNodes.slice(0, -1), ...spurPath.nodes],
+                edges,
+                hops: edges.length,
+                cost: rootEdges.reduce((total, edge) => total + edgeCost(edge), 0) + spurPath.cost,
+            });
+        }
+
+        if (candidates.length === 0) break;
+
+        candidates.sort(comparePaths);
+        found.push(candidates.shift());
+    }
+
+    return found;
+}
+
+/**
+ * Every simple path of at most maxHops edges (at most maxPaths of them), cheapest first
+ *
+ * Depth-first search pruned by the hop distance to the target (reverse BFS), so
+ * branches that cannot reach the target within the hop limit are never explored.
+ * Uses the same edge direction, edge type and excluded node rules as findShortestPath.
+ *
+ * @returns {Array<{nodes, edges, hops, cost}>} Paths, best first (empty if none)
+ */
+function findAllSimplePaths(graph, source, target, options) {
+    if (!graph.hasNode(source) || !graph.hasNode(target) || source === target) return [];
+
+    const excluded = new Set(options.excludeNodes);
+    if (excluded.has(source) || excluded.has(target)) return [];
+
+    const allowedTypes = options.edgeTypes.length > 0 ? new Set(options.edgeTypes) : null;
+    const isEdgeAllowed = attrs => !allowedTypes || allowedTypes.has(attrs[options.edgeTypeAttribute]);
+
+    // Hops from each node to the target, walking edges backwards
+    const distanceToTarget = new Map([[target, 0]]);
+    const queue = [target];
+    for (let head = 0; head < queue.length; head++) {
+        const node = queue[head];
+        const distance = distanceToTarget.get(node);
+        if (distance >= options.maxHops) continue;
+
+        graph.forEachInboundEdge(node, (edge, attrs, edgeSource, edgeTarget) => {
+            const previous = edgeTarget === node ? edgeSource : edgeTarget;
+            if (distanceToTarget.has(previous) || excluded.has(previous) || !isEdgeAllowed(attrs)) return;
+            distanceToTarget.set(previous, distance + 1);
+            queue.push(previous);
+        });
+    }
+
+    if (!distanceToTarget.has(source)) return [];
+
+    const paths = [];
+    const nodes = [source];
+    const edges = [];
+    const onPath = new Set([source]);
+    let cost = 0;
+
+    const visit = (node) => {
+        if (paths.length >= options.maxPaths) return;
+
+        if (node === target) {
+            paths.push({ nodes: [...nodes], edges: [...edges], hops: edges.length, cost });
+            return;
+        }
+
+        graph.forEachOutboundEdge(node, (edge, attrs, edgeSource, edgeTarget) => {
+            const neighbor = edgeSource === node ? edgeTarget : edgeSource;
+            if (onPath.has(neighbor) || !isEdgeAllowed(attrs)) return;
+            if (!distanceToTarget.has(neighbor) || edges.length + 1 + distanceToTarget.get(neighbor) > options.maxHops) return;
+
+            const edgeCost = getPathEdgeCost(attrs, options);
+            if (edgeCost === Infinity) return;
+
+            nodes.push(neighbor);
+            edges.push(edge);
+            onPath.add(neighbor);
+            cost += edgeCost;
+
+            visit(neighbor);
+
+            nodes.pop();
+            edges.pop();
+            onPath.delete(neighbor);
+            cost -= edgeCost;
+        });
+    };
+
+    visit(source);
+
+    if (paths.length >= options.maxPaths) {
+        console.warn(`All simple paths: stopped at max_paths (${options.maxPaths})`);
+    }
+    return paths.sort(comparePaths);
+}
+
+/**
+ * Paths between two nodes for the search chosen in path_options
+ *
+ * @returns {Array<{nodes, edges, hops, cost}>} Paths, best first (empty if none)
+ */
+function findPaths(graph, source, target, options = DEFAULT_PATH_OPTIONS) {
+    if (options.search === 'k_shortest') return findKShortestPaths(graph, source, target, options);
+    if (options.search === 'all_simple') return findAllSimplePaths(graph, source, target, options);
+
+    const path = findShortestPath(graph, source, target, options);
+    return path ? [path] : [];
+}
+
+/**
+ * Whether edges added to the graph can change the paths between two nodes
+ *
+ * A new edge only matters when it lies in the connected component (ignoring direction)
+ * holding both endpoints; otherwise there is still no path through it.
+ *
+ * @param {Graph} graph - Graphology graph
+ * @param {string[]} edges - Keys of the added edges
+ * @returns {boolean}
+ */
+function edgesJoinPath(graph, edges, source, target) {
+    if (!graph.hasNode(source) || !graph.hasNode(target)) return false;
+
+    const component = new Set([source]);
+    const queue = [source];
+    while (queue.length > 0) {
+        graph.forEachNeighbor(queue.shift(), (neighbor) => {
+            if (component.has(neighbor)) return;
+            component.add(neighbor);
+            queue.push(neighbor);
+        });
+    }
+
+    return component.has(target) && edges.some(edge => graph.hasEdge(edge) && component.has(graph.source(edge)));
+}
+
+/**
+ * Color of the path at the given index (the best path uses the theme's pathColor)
+ */
+function getPathColor(index, theme) {
+    return index === 0 ? theme.pathColor : ALTERNATIVE_PATH_COLORS[(index - 1) % ALTERNATIVE_PATH_COLORS.length];
+}
+
+/**
+ * Shortest Path Highlighter Component
+ * Allows users to select two nodes and visualizes the shortest path between them
+ *
+ * Interaction:
+ * - Click first node: Marks as path start (green border)
+ * - Click second node: Calculates and highlights shortest path (orange)
+ * - Click outside (not on path nodes/edges): Resets and shows everything
+ *
+ * The algorithm and constraints come from the path_options prop (see findShortestPath).
+ * With search "k_shortest" or "all_simple" several paths are found (see findPaths):
+ * all of them stay visible, each in its own color, and the badge arrows cycle the
+ * active one, drawn on top and thicker.
+ * Hop count and total cost (or "no path") are shown in a badge on the canvas, and
+ * every computed path is reported to Reflex through the on_path_found event.
+ * Graph updates only trigger a new search when they touch the endpoints, the shown
+ * paths or the component joining the endpoints, and are only reported when the
+ * paths actually changed.
+ *
+ * Rendered in the "path" interaction mode, or in any mode while both endpoints
+ * are set (path_source / path_target from Python).
  */
-function EdgeHoverHandler() {
+function ShortestPathHighlighter({ pathStart, pathEnd, options, onPathStartChange, onPathEndChange, theme, emitEvent }) {
     const sigma = useSigma();
     const registerEvents = useRegisterEvents();
-    const [hoveredEdge, setHoveredEdge] = useState(null);
-    const [tooltipPosition, setTooltipPosition] = useState({ x: 0, y: 0 });
-
-    // Register edge hover events
+    // null = nothing to show, { found: false } = no path, otherwise { found: true, paths } (best first)
+    const [result, setResult] = useState(null);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const [graphVersion, setGraphVersion] = useState(0);
+    const resultRef = useRef(null);
+    const requestRef = useRef(null);
+    // Graph changes since the last search: whether one surely matters, and the added edges to check
+    const changesRef = useRef({ relevant: false, addedEdges: [] });
+
+    // Recompute when the structure around the endpoints changes - endpoints from Python may arrive before the data
     useEffect(() => {
-        // CRITICAL FIX: useRegisterEvents returns a cleanup function, we need to call it on unmount
-        const unregister = registerEvents({
-            enterEdge: (e) => {
-                console.log('Edge hover enter:', e.edge);
-                setHoveredEdge(e.edge);
+        const graph = sigma.getGraph();
+        const changes = changesRef.current;
+        const isOnPath = (key, kind) => Boolean(resultRef.current?.found)
+            && resultRef.current.paths.some(path => path[kind].includes(key));
+        const markRelevant = () => {
+            changes.relevant = true;
+            setGraphVersion(version => version + 1);
+        };
+
+        const handlers = {
+            nodeAdded: ({ key }) => {
+                if (key === pathStart || key === pathEnd) markRelevant();
             },
-            leaveEdge: (e) => {
-                console.log('Edge hover leave:', e.edge);
-                setHoveredEdge(null);
+            nodeDropped: ({ key }) => {
+                if (key === pathStart || key === pathEnd || isOnPath(key, 'nodes')) markRelevant();
+            },
+            edgeAdded: ({ key }) => {
+                changes.addedEdges.push(key);
+                setGraphVersion(version => version + 1);
             },
+            edgeDropped: ({ key }) => {
+                if (isOnPath(key, 'edges')) markRelevant();
+            },
+            cleared: markRelevant,
+        };
+
+        Object.entries(handlers).forEach(([event, handler]) => graph.on(event, handler));
+        return () => {
+            Object.entries(handlers).forEach(([event, handler]) => graph.off(event, handler));
+        };
+    }, [sigma, pathStart, pathEnd]);
+
+    // Drop the highlight when the mode changes (component unmounts)
+    useEffect(() => {
+        return () => {
+            setReducerLayer(sigma, 'path', null);
+        };
+    }, [sigma]);
+
+    // Calculate shortest path when both nodes are selected
+    useEffect(() => {
+        const changes = changesRef.current;
+        const request = requestRef.current;
+        const isNewRequest = !request || request.pathStart !== pathStart || request.pathEnd !== pathEnd || request.options !== options;
+        requestRef.current = { pathStart, pathEnd, options };
+
+        const graph = sigma.getGraph();
+        const relevant = isNewRequest || changes.relevant
+            || (changes.addedEdges.length > 0 && edgesJoinPath(graph, changes.addedEdges, pathStart, pathEnd));
+        changesRef.current = { relevant: false, addedEdges: [] };
+        if (!relevant) return;
+
+        const setPaths = (next) => {
+            resultRef.current = next;
+            setResult(next);
+        };
+
+        // Nothing to search yet - wait for the data
+        if (!pathStart || !pathEnd || pathStart === pathEnd || graph.order === 0) {
+            setPaths(null);
+            return;
+        }
+
+        const report = {
+            source: pathStart,
+            target: pathEnd,
+            algorithm: options.algorithm,
+            search: options.search,
+            found: false,
+            nodes: [],
+            edges: [],
+            hops: null,
+            cost: null,
+            paths: [],
+        };
+
+        try {
+            const paths = findPaths(graph, pathStart, pathEnd, options);
+
+            // A graph update that leaves the paths as they were keeps the active one and reports nothing
+            const previous = resultRef.current;
+            const unchanged = !isNewRequest && previous
+                && JSON.stringify(previous.found ? previous.paths : []) === JSON.stringify(paths);
+            if (unchanged) return;
+
+            setActiveIndex(0);
+
+            if (paths.length > 0) {
+                // Top-level fields describe the best path, as for a single shortest path
+                const [best] = paths;
+                console.log(`${paths.length} path(s) found (${options.search}, ${options.algorithm}), best: ${best.hops} hops, cost: ${best.cost}`);
+                setPaths({ found: true, paths });
+                emitEvent('onPathFound', { ...report, found: true, ...best, paths });
+            } else {
+                console.log('No path found between selected nodes');
+                setPaths({ found: false });
+                emitEvent('onPathFound', report);
+            }
+        } catch (error) {
+            console.warn('Error calculating shortest path:', error);
+            setPaths(null);
+        }
+    }, [pathStart, pathEnd, options, sigma, emitEvent, graphVersion]);
+
+    // Register click on background to clear path
+    useEffect(() => {
+        if (!pathStart) return undefined;
+
+        const unregister = registerEvents({
+            clickStage: () => {
+                // Clicked on empty space - reset path
+                console.log('Clicked outside - clearing path');
+                onPathStartChange(null);
+                onPathEndChange(null);
+            }
         });
 
-        // Return cleanup function to unregister events on unmount
         return unregister;
-    }, [registerEvents]);
+    }, [pathStart, registerEvents, onPathStartChange, onPathEndChange]);
 
-    // Track mouse position for tooltip placement near cursor
+    // Apply visual highlighting based on path
     useEffect(() => {
-        const container = sigma.getContainer();
+        if (!result || !result.found) {
+            // Clear all path highlighting
+            setReducerLayer(sigma, 'path', null);
+            sigma.refresh();
+            return;
+        }
+
+        // Node -> index of the first path through it, edge -> color of the path drawing it
+        // (the active path wins, then the best one)
+        const active = result.paths[activeIndex] || result.paths[0];
+        const activeNodes = new Set(active.nodes);
+        const activeEdges = new Set(active.edges);
+        const activeColor = getPathColor(result.paths.indexOf(active), theme);
+        const pathNodes = new Map();
+        const pathEdges = new Map();
+
+        result.paths.forEach((path, index) => {
+            path.nodes.forEach(node => {
+                if (!pathNodes.has(node)) pathNodes.set(node, getPathColor(index, theme));
+            });
+            path.edges.forEach(edge => {
+                if (!pathEdges.has(edge)) pathEdges.set(edge, getPathColor(index, theme));
+            });
+        });
+
+        // Node reducer - HIDE non-path nodes completely
+        const nodeReducer = (node, data) => {
+            if (node === pathStart) {
+                // Start node - green border
+                return {
+                    ...data,
+                    size: data.size * 1.5,
+                    borderColor: theme.pathStartColor,
+                    borderSize: 4,
+                    zIndex: 2,
+                };
+            } else if (node === pathEnd) {
+                // End node - red border
+                return {
+                    ...data,
+                    size: data.size * 1.5,
+                    borderColor: theme.pathEndColor,
+                    borderSize: 4,
+                    zIndex: 2,
+                };
+            } else if (activeNodes.has(node)) {
+                // Active path nodes - bordered in the path color
+                return {
+                    ...data,
+                    size: data.size * 1.2,
+                    borderColor: activeColor,
+                    borderSize: 2,
+                    zIndex: 1,
+                };
+            } else if (pathNodes.has(node)) {
+                // Nodes only on other paths
+                return {
+                    ...data,
+                    borderColor: pathNodes.get(node),
+                    borderSize: 1,
+                };
+            } else {
+                // Non-path nodes - HIDE completely
+                return {
+                    ...data,
+                    hidden: true,
+                };
+            }
+        };
 
-        const handleMouseMove = (e) => {
-            const rect = container.getBoundingClientRect();
-            setTooltipPosition({
-                x: e.clientX - rect.left,
-                y: e.clientY - rect.top,
-            });
+        // Edge reducer - HIDE non-path edges completely
+        const edgeReducer = (edge, data) => {
+            if (activeEdges.has(edge)) {
+                // Active path edges - path color, thicker and on top
+                return {
+                    ...data,
+                    color: activeColor,
+                    size: data.size * 2,
+                    zIndex: 2,
+                };
+            } else if (pathEdges.has(edge)) {
+                // Edges of the other paths - their own color
+                return {
+                    ...data,
+                    color: pathEdges.get(edge),
+                    size: data.size * 1.2,
+                    zIndex: 1,
+                };
+            } else {
+                // Non-path edges - HIDE completely
+                return {
+                    ...data,
+                    hidden: true,
+                };
+            }
         };
 
-        container.addEventListener('mousemove', handleMouseMove);
+        setReducerLayer(sigma, 'path', { nodeReducer, edgeReducer });
+        sigma.refresh();
 
+        // Cleanup
         return () => {
-            container.removeEventListener('mousemove', handleMouseMove);
+            setReducerLayer(sigma, 'path', null);
         };
-    }, [sigma]);
+    }, [result, activeIndex, pathStart, pathEnd, theme, sigma]);
 
-    // Render tooltip - only when edge is hovered
-    if (!hoveredEdge) return null;
+    if (!result) return null;
 
     const graph = sigma.getGraph();
+    const nameOf = node => (graph.hasNode(node) && graph.getNodeAttribute(node, 'label')) || node;
+    const pathCount = result.found ? result.paths.length : 0;
+    const index = Math.min(activeIndex, Math.max(pathCount - 1, 0));
+    const path = result.found ? result.paths[index] : null;
+    const cycle = step => setActiveIndex((index + step + pathCount) % pathCount);
+
+    const buttonStyle = {
+        background: 'transparent',
+        border: `1px solid ${theme.overlayBorder}`,
+        borderRadius: '4px',
+        color: theme.overlayText,
+        padding: '0 6px',
+        fontSize: '12px',
+        cursor: 'pointer',
+        pointerEvents: 'auto',
+    };
 
-    // Check if edge exists in graph before attempting to get attributes
-    if (!graph.hasEdge(hoveredEdge)) {
-        console.warn('EdgeHoverHandler: Edge not found in graph:', hoveredEdge);
-        return null;
-    }
+    return (
+        <div style={{
+            position: 'absolute',
+            top: '12px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            background: theme.overlayBackground,
+            color: theme.overlayText,
+            padding: '6px 12px',
+            borderRadius: '8px',
+            fontSize: '12px',
+            zIndex: 1000,
+            pointerEvents: 'none',
+            boxShadow: `0 4px 12px ${theme.overlayShadow}`,
+            border: `1px solid ${theme.overlayBorder}`,
+            borderLeft: `3px solid ${path ? getPathColor(index, theme) : theme.pathEndColor}`,
+            whiteSpace: 'nowrap',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+        }}>
+            {path ? (
+                <>
+                    {pathCount > 1 && (
+                        <>
+                            <button style={buttonStyle} onClick={() => cycle(-1)} title="Previous path">‹</button>
+                            <span style={{ color: theme.overlayAccent }}>Path {index + 1} / {pathCount}</span>
+                        </>
+                    )}
+                    <span>
+                        <span style={{ fontWeight: '600' }}>{path.hops} {path.hops === 1 ? 'hop' : 'hops'}</span>
+                        {options.algorithm !== 'unweighted' && (
+                            <span style={{ color: theme.overlayAccent }}>
+                                {' · cost '}
+                                {path.cost.toLocaleString(undefined, { maximumFractionDigits: 3 })}
+                            </span>
+                        )}
+                    </span>
+                    {pathCount > 1 && (
+                        <button style={buttonStyle} onClick={() => cycle(1)} title="Next path">›</button>
+                    )}
+                </>
+            ) : (
+                <span>No path from {nameOf(pathStart)} to {nameOf(pathEnd)}</span>
+            )}
+        </div>
+    );
+}
 
-    const attrs = graph.getEdgeAttributes(hoveredEdge);
 
-    // Get source and target node information with safety checks
-    let source, target;
-    try {
-        const extremities = graph.extremities(hoveredEdge);
-        // CRITICAL FIX: extremities returns an ARRAY [source, target], not an object {source, target}
-        [source, target] = extremities;
-    } catch (error) {
-        console.warn('EdgeHoverHandler: Failed to get edge extremities:', error);
-        return null;
-    }
 
-    // Verify both nodes exist before getting attributes
-    if (!source || !target || !graph.hasNode(source) || !graph.hasNode(target)) {
-        console.warn('EdgeHoverHandler: Source or target node not found:', {
-            source,
-            target,
-            hasSource: source ? graph.hasNode(source) : false,
-            hasTarget: target ? graph.hasNode(target) : false,
-            allNodes: graph.nodes()
-        });
-        return null;
-    }
+// Community colors, by community id (largest community first); repeats past the end
+const COMMUNITY_PALETTE = [
+    '#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948',
+    '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac', '#1f77b4', '#17becf',
+];
+
+const DEFAULT_COMMUNITY_OPTIONS = {
+    resolution: 1,
+    weightAttribute: 'weight',
+    attribute: 'community',
+    colorNodes: true,
+    palette: COMMUNITY_PALETTE,
+};
+
+const COMMUNITY_OPTIONS_VALIDATORS = {
+    resolution: SETTING_VALIDATORS.positive,
+    weightAttribute: {
+        description: 'an attribute name, or None for unweighted',
+        isValid: value => value === null || (typeof value === 'string' && value.length > 0),
+    },
+    attribute: {
+        description: 'an attribute name',
+        isValid: value => typeof value === 'string' && value.length > 0,
+    },
+    colorNodes: SETTING_VALIDATORS.boolean,
+    palette: {
+        description: 'a non-empty list of colors',
+        isValid: value => Array.isArray(value) && value.length > 0 && value.every(color => typeof color === 'string'),
+    },
+};
 
-    // Format description text with line breaks and truncation (same as node tooltips)
-    const descriptionLines = attrs.description ? formatTooltipText(attrs.description, 300) : [];
+/**
+ * Resolve the community_detection prop against DEFAULT_COMMUNITY_OPTIONS
+ *
+ * true enables detection with the defaults; false or nothing disables it. Keys may be
+ * snake_case or camelCase; unknown keys and invalid values are ignored with a warning.
+ *
+ * @param {boolean|Object} config - community_detection from Python
+ * @returns {Object|null} { resolution, weightAttribute, attribute, colorNodes, palette }, or null when off
+ */
+function resolveCommunityOptions(config) {
+    if (!config) return null;
 
-    // Get edge type/label (priority: edgeType > label)
-    const edgeLabel = attrs.edgeType || attrs.label || 'Relationship';
+    if (config === true) return { ...DEFAULT_COMMUNITY_OPTIONS };
+    return resolveOptions(DEFAULT_COMMUNITY_OPTIONS, COMMUNITY_OPTIONS_VALIDATORS, config, 'community_detection');
+}
 
-    return (
-        <div
-            style={{
-                position: 'absolute',
-                left: `${tooltipPosition.x + 15}px`,
-                top: `${tooltipPosition.y - 10}px`,
-                background: 'rgba(0, 0, 0, 0.9)',
-                color: 'white',
-                padding: '10px 14px',
-                borderRadius: '8px',
-                fontSize: '13px',
-                pointerEvents: 'none',
-                zIndex: 1000,
-                maxWidth: '320px',
-                boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)',
-                border: '1px solid rgba(255, 255, 255, 0.1)',
-            }}
-        >
-            {/* Edge Type/Label */}
-            <div style={{
-                fontWeight: '600',
-                marginBottom: '6px',
-                fontSize: '14px',
-                color: '#fff'
-            }}>
-                {edgeLabel}
-            </div>
+/**
+ * Louvain communities with stable ids
+ *
+ * The Louvain traversal order is seeded (layout_seed, or a fixed seed), so the same graph
+ * always yields the same partition. Communities are then renumbered by decreasing size,
+ * ties broken by their smallest node id, which keeps ids - and palette colors - stable
+ * whatever ids Louvain happened to pick. Missing, non-numeric or non-positive weights count as 1.
+ *
+ * @param {Graph} graph - Graphology graph (all edges directed or all undirected)
+ * @param {Object} options - Resolved community options (see resolveCommunityOptions)
+ * @param {string|number|null} seed - Layout seed
+ * @returns {{assignment: Map<string, number>, communities: string[][], modularity: number}}
+ */
+function detectCommunities(graph, options, seed = null) {
+    const weightAttribute = options.weightAttribute;
+    const getEdgeWeight = weightAttribute
+        ? (edge, attrs) => {
+            const weight = Number(attrs[weightAttribute]);
+            return attrs[weightAttribute] !== undefined && Number.isFinite(weight) && weight > 0 ? weight : 1;
+        }
+        : null;
 
-            {/* Weight (if available) */}
-            {attrs.weight !== undefined && (
-                <div style={{
-                    fontSize: '11px',
-                    color: '#a8dadc',
-                    marginBottom: descriptionLines.length > 0 ? '6px' : '0'
-                }}>
-                    <span style={{ opacity: 0.7 }}>Weight:</span> {attrs.weight.toFixed(2)}
-                </div>
-            )}
+    const result = louvain.detailed(graph, {
+        resolution: options.resolution,
+        getEdgeWeight,
+        rng: createRandom(seed === null || seed === '' ? 'communities' : seed, 'louvain'),
+    });
 
-            {/* Description (if available) - With line breaks on <sep> and truncation */}
-            {descriptionLines.length > 0 && (
-                <div style={{
-                    fontSize: '11px',
-                    color: '#e0e0e0',
-                    marginTop: '6px',
-                    paddingTop: '6px',
-                    borderTop: '1px solid rgba(255, 255, 255, 0.15)',
-                    lineHeight: '1.4',
-                    whiteSpace: 'normal',
-                    wordWrap: 'break-word'
-                }}>
-                    {descriptionLines.map((line, index) => (
-                        <div key={index} style={{ marginBottom: index < descriptionLines.length - 1 ? '4px' : '0' }}>
-                            {line}
-                        </div>
-                    ))}
-                </div>
-            )}
-        </div>
-    );
+    const groups = new Map();
+    graph.forEachNode((node) => {
+        const id = result.communities[node];
+        if (!groups.has(id)) groups.set(id, []);
+        groups.get(id).push(node);
+    });
+
+    const communities = [...groups.values()]
+        .map(nodes => nodes.sort())
+        .sort((a, b) => b.length - a.length || (a[0] < b[0] ? -1 : 1));
+
+    const assignment = new Map();
+    communities.forEach((nodes, id) => {
+        nodes.forEach(node => assignment.set(node, id));
+    });
+
+    return { assignment, communities, modularity: result.modularity };
 }
 
 /**
- * Edge Click Handler Component
- * Shows a modal dialog with full relationship details when an edge is clicked
+ * Put back a node attribute the viewer overrode, unless something else changed it since
  *
- * Displays in modal:
- * - Relationship type (edge label)
- * - Source entity → Target entity (full names with line breaks preserved)
- * - Weight (if available)
- * - Keywords (if available)
- * - Full description (with <SEP> line breaks, NOT truncated)
- * - All other relationship metadata
+ * Only set/remove events are emitted - components that re-run on "update" events
+ * (graph_data syncs) would otherwise trigger themselves again.
  *
- * Modal interaction:
- * - Click edge: Opens modal with details
- * - Click outside modal: Closes modal
- * - Press ESC key: Closes modal
+ * @param {*} applied - Value the viewer wrote
+ * @param {*} original - Value before that (undefined removes the attribute)
+ */
+function restoreNodeAttribute(graph, node, name, applied, original) {
+    if (!graph.hasNode(node) || graph.getNodeAttribute(node, name) !== applied) return;
+    if (original === undefined) graph.removeNodeAttribute(node, name);
+    else graph.setNodeAttribute(node, name, original);
+}
+
+/**
+ * Community Detector Component
+ * Runs Louvain community detection when the community_detection prop is set
+ *
+ * Every node gets its community id in the configured attribute (default "community")
+ * and, with color_nodes, the palette color of that community. Colors from graph_data
+ * are remembered and put back when detection is turned off. Detection re-runs when
+ * nodes or edges come and go or Python updates their attributes, and each result is
+ * reported through on_communities_detected.
+ *
+ * colorNodes is false while color_by drives node colors, so CentralityHandler and this
+ * component never both write the color attribute.
  */
-function EdgeClickHandler() {
+function CommunityDetector({ options, colorNodes, seed, emitEvent }) {
     const sigma = useSigma();
-    const registerEvents = useRegisterEvents();
-    const [clickedEdge, setClickedEdge] = useState(null);
+    const [graphVersion, setGraphVersion] = useState(0);
+    // node -> { color, community } before detection, and what detection wrote
+    const originalsRef = useRef(new Map());
 
-    // Register edge click events
+    // Re-run on structural changes and on attribute updates from graph_data (not on our own writes)
     useEffect(() => {
-        // CRITICAL FIX: useRegisterEvents returns a cleanup function, we need to call it on unmount
-        const unregister = registerEvents({
-            clickEdge: (e) => {
-                console.log('Edge clicked:', e.edge);
-                setClickedEdge(e.edge);
-                // Prevent default to avoid triggering stage click
-                e.preventSigmaDefault();
-            },
-        });
+        const graph = sigma.getGraph();
+        const events = ['nodeAdded', 'edgeAdded', 'nodeDropped', 'edgeDropped', 'cleared'];
+        const bump = () => setGraphVersion(version => version + 1);
+        const bumpOnSync = ({ type }) => {
+            if (type === 'update' || type === 'replace') bump();
+        };
 
-        // Return cleanup function to unregister events on unmount
-        return unregister;
-    }, [registerEvents]);
+        events.forEach(event => graph.on(event, bump));
+        graph.on('nodeAttributesUpdated', bumpOnSync);
+        graph.on('edgeAttributesUpdated', bumpOnSync);
+        return () => {
+            events.forEach(event => graph.off(event, bump));
+            graph.off('nodeAttributesUpdated', bumpOnSync);
+            graph.off('edgeAttributesUpdated', bumpOnSync);
+        };
+    }, [sigma]);
 
-    // Handle ESC key to close modal
     useEffect(() => {
-        const handleKeyDown = (e) => {
-            if (e.key === 'Escape' && clickedEdge) {
-                console.log('ESC pressed - closing edge details modal');
-                setClickedEdge(null);
-            }
-        };
+        const graph = sigma.getGraph();
+        const originals = originalsRef.current;
+        if (graph.order === 0) return undefined;
 
-        if (clickedEdge) {
-            document.addEventListener('keydown', handleKeyDown);
+        let detected;
+        try {
+            detected = detectCommunities(graph, options, seed);
+        } catch (error) {
+            console.warn('Community detection failed:', error);
+            return undefined;
         }
 
+        const colorOf = id => options.palette[id % options.palette.length];
+
+        // The previous run was undone by its cleanup, so these are the graph_data values
+        detected.assignment.forEach((id, node) => {
+            const attrs = graph.getNodeAttributes(node);
+            const appliedColor = colorNodes ? colorOf(id) : attrs.color;
+
+            originals.set(node, {
+                color: attrs.color,
+                community: attrs[options.attribute],
+                appliedColor,
+                appliedCommunity: id,
+            });
+            graph.mergeNodeAttributes(node, { [options.attribute]: id, color: appliedColor });
+        });
+        sigma.refresh();
+
+        console.log(`Detected ${detected.communities.length} communities (modularity ${detected.modularity.toFixed(3)})`);
+        emitEvent('onCommunitiesDetected', {
+            count: detected.communities.length,
+            modularity: Number.isFinite(detected.modularity) ? detected.modularity : null,
+            attribute: options.attribute,
+            communities: detected.communities.map((nodes, id) => ({
+                id,
+                size: nodes.length,
+                color: colorOf(id),
+                nodes,
+            })),
+        });
+
+        // Put back what graph_data had, unless it has changed since
         return () => {
-            document.removeEventListener('keydown', handleKeyDown);
+            originals.forEach((original, node) => {
+                restoreNodeAttribute(graph, node, 'color', original.appliedColor, original.color);
+                restoreNodeAttribute(graph, node, options.attribute, original.appliedCommunity, original.community);
+            });
+            originals.clear();
         };
-    }, [clickedEdge]);
+    }, [options, colorNodes, seed, sigma, emitEvent, graphVersion]);
 
-    // Handle click outside modal to close
-    const handleBackdropClick = useCallback((e) => {
-        // Close modal if clicking directly on backdrop (not on modal content)
-        if (e.target === e.currentTarget) {
-            console.log('Backdrop clicked - closing edge details modal');
-            setClickedEdge(null);
-        }
-    }, []);
+    return null;
+}
 
-    // Render modal - only when edge is clicked
-    if (!clickedEdge) return null;
+const CLUSTER_SHAPES = ['convex', 'concave'];
+
+const DEFAULT_CLUSTER_OPTIONS = {
+    attribute: 'community',
+    shape: 'convex',
+    concavity: 2,
+    padding: 12,
+    opacity: 0.12,
+    minSize: 2,
+    labels: false,
+};
+
+const CLUSTER_OPTIONS_VALIDATORS = {
+    attribute: {
+        description: 'an attribute name',
+        isValid: value => typeof value === 'string' && value.length > 0,
+    },
+    shape: {
+        description: `one of ${CLUSTER_SHAPES.map(name => `"${name}"`).join(', ')}`,
+        isValid: value => CLUSTER_SHAPES.includes(value),
+    },
+    concavity: SETTING_VALIDATORS.positive,
+    padding: SETTING_VALIDATORS.nonNegative,
+    opacity: {
+        description: 'a number between 0 and 1',
+        isValid: value => typeof value === 'number' && value >= 0 && value <= 1,
+    },
+    minSize: SETTING_VALIDATORS.positiveInteger,
+    labels: {
+        description: 'a boolean or a {group: label} dict',
+        isValid: value => typeof value === 'boolean' || (value !== null && typeof value === 'object' && !Array.isArray(value)),
+    },
+};
 
-    const graph = sigma.getGraph();
+/**
+ * Resolve the cluster_options prop against DEFAULT_CLUSTER_OPTIONS
+ *
+ * Without an explicit attribute, hulls group nodes by the community_detection
+ * attribute (when detection is on) or "community".
+ *
+ * @param {Object} config - cluster_options from Python
+ * @param {string} defaultAttribute - Attribute used when config has none
+ * @returns {Object} { attribute, shape, concavity, padding, opacity, minSize, labels }
+ */
+function resolveClusterOptions(config, defaultAttribute = DEFAULT_CLUSTER_OPTIONS.attribute) {
+    const defaults = { ...DEFAULT_CLUSTER_OPTIONS, attribute: defaultAttribute };
+    return resolveOptions(defaults, CLUSTER_OPTIONS_VALIDATORS, config, 'cluster_options');
+}
 
-    // Check if edge exists in graph before attempting to get attributes
-    if (!graph.hasEdge(clickedEdge)) {
-        console.warn('EdgeClickHandler: Edge not found in graph:', clickedEdge);
-        return null;
-    }
+/**
+ * Convex hull of a point set (Andrew's monotone chain)
+ *
+ * @param {Array<{x: number, y: number}>} points - Points (extra properties are kept)
+ * @returns {Array} Hull vertices in order, without repeating the first one
+ */
+function convexHull(points) {
+    if (points.length < 3) return [...points];
 
-    const attrs = graph.getEdgeAttributes(clickedEdge);
+    const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
 
-    // Get source and target node information with safety checks
-    let source, target;
-    try {
-        const extremities = graph.extremities(clickedEdge);
-        // CRITICAL FIX: extremities returns an ARRAY [source, target], not an object {source, target}
-        [source, target] = extremities;
-    } catch (error) {
-        console.warn('EdgeClickHandler: Failed to get edge extremities:', error);
-        return null;
-    }
+    const lower = [];
+    sorted.forEach((point) => {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+        lower.push(point);
+    });
 
-    // Verify both nodes exist before getting attributes
-    if (!source || !target || !graph.hasNode(source) || !graph.hasNode(target)) {
-        console.warn('EdgeClickHandler: Source or target node not found:', { source, target });
-        return null;
+    const upper = [];
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const point = sorted[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+        upper.push(point);
     }
 
-    const sourceAttrs = graph.getNodeAttributes(source);
-    const targetAttrs = graph.getNodeAttributes(target);
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+}
+
+/**
+ * Squared distance from point p to segment ab
+ */
+function squaredSegmentDistance(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared))
+        : 0;
+    const x = a.x + t * dx - p.x;
+    const y = a.y + t * dy - p.y;
+    return x * x + y * y;
+}
+
+/**
+ * Whether segments ab and cd cross (touching at an endpoint does not count)
+ */
+function segmentsIntersect(a, b, c, d) {
+    if (a === c || a === d || b === c || b === d) return false;
+
+    const orientation = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+    return orientation(a, b, c) !== orientation(a, b, d) && orientation(c, d, a) !== orientation(c, d, b);
+}
+
+/**
+ * Concave hull by digging into the convex hull
+ *
+ * A hull edge is replaced by two edges through the nearest inner point when that point
+ * is closer than length / concavity to both ends, the point is nearer to this edge than
+ * to its neighbours and the new edges cross no other hull edge (the approach of concaveman).
+ * Lower concavity digs deeper; Infinity keeps the convex hull.
+ *
+ * @param {Array<{x: number, y: number}>} points - Distinct points
+ * @param {number} concavity - Relative concavity (>= 1 is sensible)
+ * @returns {Array} Hull vertices in order
+ */
+function concaveHull(points, concavity) {
+    const hull = convexHull(points);
+    if (hull.length < 3) return hull;
+
+    const onHull = new Set(hull);
+    const inner = points.filter(point => !onHull.has(point));
+    const squaredDistance = (a, b) => (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+
+    // Points lying on a hull edge (collinear nodes) fail the ray-casting test but are not outside
+    const isOnHull = point => hull.some((a, j) => {
+        const b = hull[(j + 1) % hull.length];
+        return squaredSegmentDistance(point, a, b) <= 1e-12 * squaredDistance(a, b);
+    });
+
+    let i = 0;
+    while (i < hull.length && inner.length > 0) {
+        const a = hull[i];
+        const b = hull[(i + 1) % hull.length];
+        const before = hull[(i - 1 + hull.length) % hull.length];
+        const after = hull[(i + 2) % hull.length];
+
+        let best = -1;
+        let bestDistance = Infinity;
+        inner.forEach((point, index) => {
+            const distance = squaredSegmentDistance(point, a, b);
+            if (distance < bestDistance
+                && distance <= squaredSegmentDistance(point, before, a)
+                && distance <= squaredSegmentDistance(point, b, after)) {
+                best = index;
+                bestDistance = distance;
+            }
+        });
+
+        const candidate = inner[best];
 
-    // Get full node names (NO truncation for modal)
-    const sourceName = sourceAttrs.label || source;
-    const targetName = targetAttrs.label || target;
+        // Points left outside by earlier digs can never be used
+        if (candidate && !isPointInPolygon(candidate.x, candidate.y, hull) && !isOnHull(candidate)) {
+            inner.splice(best, 1);
+            continue;
+        }
 
-    // Format description text with line breaks (NO truncation for modal)
-    // Split on <sep> or <SEP> tag to preserve line breaks
-    const descriptionLines = attrs.description
-        ? attrs.description.split(/<sep>/i).map(line => line.trim()).filter(line => line.length > 0)
-        : [];
+        const maxSquaredLength = squaredDistance(a, b) / (concavity * concavity);
+        const digs = candidate
+            && Math.min(squaredDistance(candidate, a), squaredDistance(candidate, b)) <= maxSquaredLength
+            && !hull.some((point, j) => {
+                const next = hull[(j + 1) % hull.length];
+                return j !== i && (segmentsIntersect(a, candidate, point, next) || segmentsIntersect(candidate, b, point, next));
+            });
 
-    // Get edge type/label (priority: edgeType > label)
-    const edgeLabel = attrs.edgeType || attrs.label || 'Relationship';
+        if (digs) {
+            // Check the new edge from a again before moving on
+            hull.splice(i + 1, 0, candidate);
+            inner.splice(best, 1);
+        } else {
+            i++;
+        }
+    }
 
-    // Extract all other metadata (excluding common display fields and created_at)
-    const excludedKeys = ['edgeType', 'label', 'description', 'weight', 'keywords', 'color', 'size', 'type', 'created_at'];
-    const otherMetadata = Object.entries(attrs)
-        .filter(([key]) => !excludedKeys.includes(key))
-        .filter(([, value]) => value !== undefined && value !== null && value !== '');
+    return hull;
+}
 
-    return (
-        <>
-            {/* Modal backdrop - semi-transparent overlay */}
-            <div
-                onClick={handleBackdropClick}
-                style={{
-                    position: 'fixed',
-                    top: 0,
-                    left: 0,
-                    right: 0,
-                    bottom: 0,
-                    background: 'rgba(0, 0, 0, 0.7)',
-                    zIndex: 10000,
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    padding: '20px',
-                }}
-            >
-                {/* Modal content - centered dialog */}
-                <div
-                    style={{
-                        background: 'rgba(20, 20, 30, 0.98)',
-                        color: 'white',
-                        padding: '16px 20px',
-                        borderRadius: '8px',
-                        fontSize: '12px',
-                        maxWidth: '400px',
-                        maxHeight: '60vh',
-                        overflowY: 'auto',
-                        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.5)',
-                        border: '1px solid rgba(255, 255, 255, 0.15)',
-                        position: 'relative',
-                    }}
-                    onClick={(e) => e.stopPropagation()} // Prevent backdrop click when clicking modal content
-                >
-                    {/* Close button */}
-                    <button
-                        onClick={() => setClickedEdge(null)}
-                        style={{
-                            position: 'absolute',
-                            top: '16px',
-                            right: '16px',
-                            background: 'transparent',
-                            border: 'none',
-                            color: '#999',
-                            fontSize: '24px',
-                            cursor: 'pointer',
-                            width: '32px',
-                            height: '32px',
-                            display: 'flex',
-                            alignItems: 'center',
-                            justifyContent: 'center',
-                            borderRadius: '4px',
-                            transition: 'all 0.2s',
-                        }}
-                        onMouseEnter={(e) => {
-                            e.target.style.background = 'rgba(255, 255, 255, 0.1)';
-                            e.target.style.color = '#fff';
-                        }}
-                        onMouseLeave={(e) => {
-                            e.target.style.background = 'transparent';
-                            e.target.style.color = '#999';
-                        }}
-                        title="Close (ESC)"
-                    >
-                        ×
-                    </button>
+/**
+ * Push every vertex of a polygon outwards by its own distance (vertex.offset)
+ *
+ * Vertices move along the bisector of their two edge normals, so concave corners
+ * move outwards too.
+ */
+function offsetPolygon(polygon) {
+    const area = polygon.reduce((total, point, i) => {
+        const next = polygon[(i + 1) % polygon.length];
+        return total + point.x * next.y - next.x * point.y;
+    }, 0);
+    const direction = area > 0 ? 1 : -1;
+
+    const normal = (from, to) => {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy) || 1;
+        return { x: (dy / length) * direction, y: (-dx / length) * direction };
+    };
 
-                    {/* Modal title - Relationship Type */}
-                    <div style={{
-                        fontWeight: '700',
-                        marginBottom: '12px',
-                        fontSize: '16px',
-                        color: '#fff',
-                        paddingRight: '40px', // Space for close button
-                        borderBottom: '1px solid rgba(255, 255, 255, 0.2)',
-                        paddingBottom: '8px',
-                    }}>
-                        Relationship Details
-                    </div>
+    return polygon.map((point, i) => {
+        const previous = polygon[(i - 1 + polygon.length) % polygon.length];
+        const next = polygon[(i + 1) % polygon.length];
+        const n1 = normal(previous, point);
+        const n2 = normal(point, next);
+
+        let x = n1.x + n2.x;
+        let y = n1.y + n2.y;
+        const length = Math.hypot(x, y);
+        if (length < 1e-6) {
+            ({ x, y } = n1);
+        } else {
+            x /= length;
+            y /= length;
+        }
+        return { x: point.x + x * point.offset, y: point.y + y * point.offset };
+    });
+}
 
-                    {/* Edge Type/Label */}
-                    <div style={{
-                        marginBottom: '10px',
-                        padding: '8px 10px',
-                        background: 'rgba(100, 100, 255, 0.15)',
-                        borderRadius: '6px',
-                        borderLeft: '2px solid #6366f1',
-                    }}>
-                        <div style={{ fontSize: '10px', color: '#a8dadc', marginBottom: '3px', opacity: 0.8 }}>
-                            Type
-                        </div>
-                        <div style={{ fontSize: '13px', fontWeight: '600', color: '#fff' }}>
-                            {edgeLabel}
-                        </div>
-                    </div>
+/**
+ * Hulls around groups of visible nodes that share the cluster attribute
+ *
+ * Works in framed graph coordinates from the current display data, so nodes hidden by
+ * reducers are skipped and the result only changes when nodes move or change - the
+ * camera does not matter. Only the hull vertices are kept; projectClusterHulls turns
+ * them into pixels on every frame. Convex hulls are taken over node centres, concave
+ * hulls are dug between them.
+ *
+ * @param {Sigma} sigma - Sigma instance
+ * @param {Object} options - Resolved cluster options (see resolveClusterOptions)
+ * @param {string} defaultColor - Color of groups whose nodes have no color
+ * @returns {Array<{group, nodes: string[], vertices: Array<{x, y, size}>, concave: boolean, color: string}>}
+ */
+function computeClusterHulls(sigma, options, defaultColor) {
+    const graph = sigma.getGraph();
+    const groups = new Map();
 
-                    {/* Source → Target with full names and line breaks */}
-                    <div style={{
-                        marginBottom: '10px',
-                        padding: '8px 10px',
-                        background: 'rgba(255, 255, 255, 0.05)',
-                        borderRadius: '6px',
-                    }}>
-                        <div style={{ fontSize: '10px', color: '#a8dadc', marginBottom: '6px', opacity: 0.8 }}>
-                            Connection
-                        </div>
-                        <div style={{
-                            fontSize: '12px',
-                            lineHeight: '1.5',
-                            display: 'flex',
-                            flexDirection: 'column',
-                            gap: '6px',
-                        }}>
-                            <div>
-                                <span style={{ color: '#4ade80', fontWeight: '600' }}>Source:</span>
-                                <div style={{ color: '#e0e0e0', marginTop: '2px', marginLeft: '6px', whiteSpace: 'pre-wrap', wordWrap: 'break-word' }}>
-                                    {sourceName}
-                                </div>
-                            </div>
-                            <div style={{ textAlign: 'center', color: '#888', fontSize: '14px' }}>↓</div>
-                            <div>
-                                <span style={{ color: '#f87171', fontWeight: '600' }}>Target:</span>
-                                <div style={{ color: '#e0e0e0', marginTop: '2px', marginLeft: '6px', whiteSpace: 'pre-wrap', wordWrap: 'break-word' }}>
-                                    {targetName}
-                                </div>
-                            </div>
-                        </div>
-                    </div>
+    graph.forEachNode((node, attrs) => {
+        const group = attrs[options.attribute];
+        if (group === undefined || group === null || group === '') return;
 
-                    {/* Weight (if available) */}
-                    {attrs.weight !== undefined && (
-                        <div style={{
-                            marginBottom: '10px',
-                            padding: '8px 10px',
-                            background: 'rgba(255, 255, 255, 0.05)',
-                            borderRadius: '6px',
-                        }}>
-                            <div style={{ fontSize: '10px', color: '#a8dadc', marginBottom: '3px', opacity: 0.8 }}>
-                                Weight
-                            </div>
-                            <div style={{ fontSize: '13px', color: '#fff', fontWeight: '600' }}>
-                                {attrs.weight.toFixed(4)}
-                            </div>
-                        </div>
-                    )}
+        const data = sigma.getNodeDisplayData(node);
+        if (!data || data.hidden) return;
 
-                    {/* Keywords (if available) */}
-                    {attrs.keywords && (
-                        <div style={{
-                            marginBottom: '10px',
-                            padding: '8px 10px',
-                            background: 'rgba(251, 191, 36, 0.1)',
-                            borderRadius: '6px',
-                            borderLeft: '2px solid #fbbf24',
-                        }}>
-                            <div style={{ fontSize: '10px', color: '#a8dadc', marginBottom: '3px', opacity: 0.8 }}>
-                                Keywords
-                            </div>
-                            <div style={{ fontSize: '12px', color: '#fbbf24', fontStyle: 'italic', lineHeight: '1.4' }}>
-                                {attrs.keywords}
-                            </div>
-                        </div>
-                    )}
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push({ node, x: data.x, y: data.y, size: data.size, color: attrs.color });
+    });
 
-                    {/* Full Description (if available) - With line breaks on <sep>, NO truncation */}
-                    {descriptionLines.length > 0 && (
-                        <div style={{
-                            marginBottom: '10px',
-                            padding: '8px 10px',
-                            background: 'rgba(255, 255, 255, 0.05)',
-                            borderRadius: '6px',
-                        }}>
-                            <div style={{ fontSize: '10px', color: '#a8dadc', marginBottom: '6px', opacity: 0.8 }}>
-                                Description
-                            </div>
-                            <div style={{
-                                fontSize: '12px',
-                                color: '#e0e0e0',
-                                lineHeight: '1.5',
-                                whiteSpace: 'pre-wrap',
-                                wordWrap: 'break-word',
-                            }}>
-                                {descriptionLines.map((line, index) => (
-                                    <div key={index} style={{ marginBottom: index < descriptionLines.length - 1 ? '6px' : '0' }}>
-                                        {line}
-                                    </div>
-                                ))}
-                            </div>
-                        </div>
-                    )}
+    const hulls = [];
+    groups.forEach((members, group) => {
+        if (members.length < options.minSize) return;
 
-                    {/* Other metadata (if any) */}
-                    {otherMetadata.length > 0 && (
-                        <div style={{
-                            marginTop: '12px',
-                            paddingTop: '10px',
-                            borderTop: '1px solid rgba(255, 255, 255, 0.1)',
-                        }}>
-                            <div style={{ fontSize: '10px', color: '#a8dadc', marginBottom: '8px', opacity: 0.8, fontWeight: '600' }}>
-                                Additional Metadata
-                            </div>
-                            <div style={{
-                                display: 'grid',
-                                gridTemplateColumns: 'auto 1fr',
-                                gap: '6px 12px',
-                                fontSize: '11px',
-                            }}>
-                                {otherMetadata.map(([key, value]) => (
-                                    <React.Fragment key={key}>
-                                        <div style={{ color: '#888', fontWeight: '500' }}>
-                                            {key}:
-                                        </div>
-                                        <div style={{ color: '#e0e0e0', wordWrap: 'break-word' }}>
-                                            {typeof value === 'object' ? JSON.stringify(value) : String(value)}
-                                        </div>
-                                    </React.Fragment>
-                                ))}
-                            </div>
-                        </div>
-                    )}
+        // Most common node color
+        const counts = new Map();
+        members.forEach(({ color }) => {
+            if (color) counts.set(color, (counts.get(color) || 0) + 1);
+        });
+        const color = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || defaultColor;
+
+        // One point per position - stacked nodes would make zero-length edges
+        const distinct = new Map();
+        members.forEach((member) => {
+            const key = `${member.x},${member.y}`;
+            const existing = distinct.get(key);
+            if (!existing || existing.size < member.size) distinct.set(key, member);
+        });
+        const points = [...distinct.values()];
+
+        let vertices = options.shape === 'concave' && points.length >= 3 ? concaveHull(points, options.concavity) : [];
+        const concave = vertices.length >= 3;
+        if (!concave) vertices = convexHull(points);
+
+        hulls.push({
+            group,
+            nodes: members.map(member => member.node),
+            vertices: vertices.map(({ x, y, size }) => ({ x, y, size })),
+            concave,
+            color,
+        });
+    });
 
-                    {/* Footer hint */}
-                    <div style={{
-                        marginTop: '20px',
-                        paddingTop: '12px',
-                        borderTop: '1px solid rgba(255, 255, 255, 0.1)',
-                        fontSize: '11px',
-                        color: '#666',
-                        textAlign: 'center',
-                    }}>
-                        Click outside or press ESC to close
-                    </div>
-                </div>
-            </div>
-        </>
-    );
+    return hulls;
 }
 
 /**
- * Calculate distance/depth from dragged node to all other nodes using BFS
- * Returns a map: node -> depth (0 = dragged node, 1 = neighbor, 2 = neighbor's neighbor, etc.)
+ * Project hulls from computeClusterHulls to viewport pixels
+ *
+ * Concave hull vertices are pushed outwards by their node radius plus padding. Convex
+ * hulls wrap points sampled on the circle around each hull vertex, which also gives
+ * single nodes and rows of nodes a rounded hull.
+ *
+ * @param {Sigma} sigma - Sigma instance
+ * @param {Array} hulls - Hulls in framed graph coordinates
+ * @param {Object} options - Resolved cluster options (see resolveClusterOptions)
+ * @returns {Array<{group, nodes: string[], polygon: Array<{x, y}>, color: string, area: number}>}
  */
-function calculateNodeDepths(graph, sourceNode) {
-    const depths = new Map();
-    const queue = [[sourceNode, 0]];
-    depths.set(sourceNode, 0);
+function projectClusterHulls(sigma, hulls, options) {
+    const projected = hulls.map(({ group, nodes, vertices, concave, color }) => {
+        const points = vertices.map(vertex => ({
+            ...sigma.framedGraphToViewport(vertex),
+            offset: sigma.scaleSize(vertex.size) + options.padding,
+        }));
+
+        let polygon;
+        if (concave) {
+            polygon = offsetPolygon(points);
+        } else {
+            const samples = [];
+            points.forEach(({ x, y, offset }) => {
+                for (let k = 0; k < 12; k++) {
+                    const angle = (k / 12) * 2 * Math.PI;
+                    samples.push({ x: x + Math.cos(angle) * offset, y: y + Math.sin(angle) * offset });
+                }
+            });
+            polygon = convexHull(samples);
+        }
 
-    while (queue.length > 0) {
-        const [node, depth] = queue.shift();
+        const area = Math.abs(polygon.reduce((total, point, i) => {
+            const next = polygon[(i + 1) % polygon.length];
+            return total + point.x * next.y - next.x * point.y;
+        }, 0)) / 2;
 
-        // Get all neighbors (both incoming and outgoing edges)
-        graph.forEachNeighbor(node, (neighbor) => {
-            if (!depths.has(neighbor)) {
-                depths.set(neighbor, depth + 1);
-                queue.push([neighbor, depth + 1]);
-            }
-        });
-    }
+        return { group, nodes, polygon, color, area };
+    });
 
-    return depths;
+    // Largest first, so smaller hulls are drawn (and hit) on top
+    return projected.sort((a, b) => b.area - a.area);
 }
 
 /**
- * Calculate influence factor based on depth
- * Depth 0 (dragged): 1.0 (100% movement)
- * Depth 1 (1st degree): 0.6 (60% movement)
- * Depth 2 (2nd degree): 0.3 (30% movement)
- * Depth 3+: 0.1 (10% movement)
+ * Label shown on a hull - labels: true uses the group value, a dict maps values to labels
  */
-function getInfluenceFactor(depth) {
-    if (depth === 0) return 1.0;
-    if (depth === 1) return 0.6;
-    if (depth === 2) return 0.3;
-    return 0.1;
+function getClusterLabel(group, labels) {
+    if (labels === true) return String(group);
+    if (labels && typeof labels === 'object' && labels[group] !== undefined && labels[group] !== null) {
+        return String(labels[group]);
+    }
+    return null;
 }
 
 /**
- * Node Drag Handler Component - Hierarchical Cluster Drag with Ripple Effect
+ * Draw hulls with rounded corners (quadratic curves through the edge midpoints) and labels
+ */
+function drawClusterHulls(context, hulls, options, theme) {
+    hulls.forEach(({ group, polygon, color }) => {
+        if (polygon.length < 3) return;
+
+        context.beginPath();
+        const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+        const start = midpoint(polygon[polygon.length - 1], polygon[0]);
+        context.moveTo(start.x, start.y);
+        polygon.forEach((point, i) => {
+            const end = midpoint(point, polygon[(i + 1) % polygon.length]);
+            context.quadraticCurveTo(point.x, point.y, end.x, end.y);
+        });
+        context.closePath();
+
+        context.fillStyle = color;
+        context.globalAlpha = options.opacity;
+        context.fill();
+        context.strokeStyle = color;
+        context.lineWidth = 1.5;
+        context.globalAlpha = Math.min(1, options.opacity * 3);
+        context.stroke();
+
+        const label = getClusterLabel(group, options.labels);
+        if (label) {
+            const top = polygon.reduce((highest, point) => (point.y < highest.y ? point : highest), polygon[0]);
+            const xs = polygon.map(point => point.x);
+            context.globalAlpha = 0.9;
+            context.fillStyle = theme.labelColor;
+            context.font = '600 12px Inter, sans-serif';
+            context.textAlign = 'center';
+            context.textBaseline = 'bottom';
+            context.fillText(label, (Math.min(...xs) + Math.max(...xs)) / 2, top.y - 4);
+        }
+    });
+    context.globalAlpha = 1;
+}
+
+/**
+ * Cluster Backgrounds Component
+ * Draws translucent hulls behind groups of nodes that share a cluster attribute
+ * (show_cluster_backgrounds), e.g. the communities from community_detection
  *
- * Implements smooth, animated node dragging with neighbor influence:
- * - Dragged node: Follows cursor with spring animation (100% movement)
- * - 1st-degree neighbors: Follow at 60% of dragged node's movement
- * - 2nd-degree neighbors: Follow at 30% of dragged node's movement
- * - 3rd+ degree neighbors: Follow at 10% of dragged node's movement
- * - Creates a "ripple effect" where influence decreases with distance
- * - Scale animation on grab/release for visual feedback
- * - Optional position locking via dragNeighbors prop:
- *   - When false: Layout algorithm continues to adjust node after drag
- *   - When true: Node position is fixed after drag (layout forces disabled on that node)
+ * Hulls live on their own canvas layer under the edges. They are recomputed when Sigma
+ * reprocesses node data (dragged nodes, running ForceAtlas2, highlighting) and only
+ * re-projected when the camera moves.
+ * Hull color is the most common color of its nodes; labels come from cluster_options.
  *
- * Animation parameters:
- * - Spring stiffness: 0.3 (how responsive the animation is)
- * - Grab scale: 1.5x (node enlarges when grabbed)
- * - Release bounce: Smooth spring-back to normal size
+ * Clicking inside a hull (not on a node or edge) selects the whole group through
+ * onSelect (Ctrl/⌘ adds to the selection); without onSelect hulls are not clickable.
  */
-function NodeDragHandler({ dragNeighbors = false, selectedNode = null, onNodeClick = null }) {
+function ClusterBackgrounds({ options, theme, onSelect }) {
     const sigma = useSigma();
-    const registerEvents = useRegisterEvents();
-    const [draggedNode, setDraggedNode] = useState(null);
-    const dragStartPosRef = useRef(null);
-    const animationFrameRef = useRef(null);
-    const targetPosRef = useRef(null);
-    const currentPosRef = useRef(null);
-    const nodeDepthsRef = useRef(null);
-    const affectedNodesRef = useRef(null);
+    const hullsRef = useRef([]);
 
-    // Animation loop for smooth dragging with spring physics and neighbor influence
-    const animateDrag = useCallback((node, graph) => {
-        if (!targetPosRef.current || !currentPosRef.current || !nodeDepthsRef.current || !affectedNodesRef.current) return;
+    useEffect(() => {
+        const canvas = sigma.createCanvas('clusters', { beforeLayer: 'edges' });
+        const context = canvas.getContext('2d');
 
-        const spring = 0.3; // Spring stiffness (0-1, higher = more responsive)
-        const damping = 0.8; // Damping factor (0-1, lower = more bounce)
+        // Hulls in graph coordinates, dropped whenever node data changes
+        let hulls = null;
+        const invalidate = () => {
+            hulls = null;
+        };
 
-        // Calculate spring force for main dragged node
-        const dx = targetPosRef.current.x - currentPosRef.current.x;
-        const dy = targetPosRef.current.y - currentPosRef.current.y;
+        const draw = () => {
+            const { width, height } = sigma.getDimensions();
+            const ratio = window.devicePixelRatio || 1;
+            if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+                canvas.width = width * ratio;
+                canvas.height = height * ratio;
+                canvas.style.width = `${width}px`;
+                canvas.style.height = `${height}px`;
+            }
 
-        // Apply spring physics to dragged node
-        currentPosRef.current.vx = (currentPosRef.current.vx || 0) * damping + dx * spring;
-        currentPosRef.current.vy = (currentPosRef.current.vy || 0) * damping + dy * spring;
+            context.setTransform(ratio, 0, 0, ratio, 0, 0);
+            context.clearRect(0, 0, width, height);
 
-        currentPosRef.current.x += currentPosRef.current.vx;
-        currentPosRef.current.y += currentPosRef.current.vy;
+            try {
+                if (!hulls) hulls = computeClusterHulls(sigma, options, theme.nodeColor);
+                hullsRef.current = projectClusterHulls(sigma, hulls, options);
+                drawClusterHulls(context, hullsRef.current, options, theme);
+            } catch (error) {
+                console.warn('Error drawing cluster backgrounds:', error);
+                hullsRef.current = [];
+            }
+        };
 
-        // Update dragged node position
-        graph.setNodeAttribute(node, 'x', currentPosRef.current.x);
-        graph.setNodeAttribute(node, 'y', currentPosRef.current.y);
+        sigma.on('afterProcess', invalidate);
+        sigma.on('afterRender', draw);
+        draw();
 
-        // Calculate how much the dragged node moved in this frame
-        const movementDx = currentPosRef.current.vx;
-        const movementDy = currentPosRef.current.vy;
+        return () => {
+            sigma.off('afterProcess', invalidate);
+            sigma.off('afterRender', draw);
+            sigma.killLayer('clusters');
+            hullsRef.current = [];
+        };
+    }, [sigma, options, theme]);
 
-        // Apply ripple effect to all affected neighbors based on depth
-        affectedNodesRef.current.forEach((affectedNode) => {
-            if (affectedNode === node) return; // Skip dragged node itself
+    // Hull clicks - nodes and edges keep their own click behaviour
+    useEffect(() => {
+        if (!onSelect) return undefined;
 
-            const depth = nodeDepthsRef.current.get(affectedNode);
-            const influence = getInfluenceFactor(depth);
+        let hovering = false;
+        const handleEnter = () => { hovering = true; };
+        const handleLeave = () => { hovering = false; };
+        sigma.on('enterNode', handleEnter);
+        sigma.on('leaveNode', handleLeave);
+        sigma.on('enterEdge', handleEnter);
+        sigma.on('leaveEdge', handleLeave);
 
-            // Move neighbor proportional to influence
-            const currentX = graph.getNodeAttribute(affectedNode, 'x');
-            const currentY = graph.getNodeAttribute(affectedNode, 'y');
+        const container = sigma.getContainer();
+        let downAt = null;
 
-            graph.setNodeAttribute(affectedNode, 'x', currentX + movementDx * influence);
-            graph.setNodeAttribute(affectedNode, 'y', currentY + movementDy * influence);
+        const handleMouseDown = (event) => {
+            downAt = { x: event.clientX, y: event.clientY };
+        };
+
+        // Capture phase, so the click never becomes a stage click that clears the selection
+        const handleClick = (event) => {
+            const moved = !downAt || Math.hypot(event.clientX - downAt.x, event.clientY - downAt.y) > 3;
+            if (hovering || moved || event.shiftKey) return;
+
+            const rect = container.getBoundingClientRect();
+            const x = event.clientX - rect.left;
+            const y = event.clientY - rect.top;
+
+            // Smallest hull under the pointer
+            const hull = [...hullsRef.current].reverse().find(({ polygon }) => isPointInPolygon(x, y, polygon));
+            if (!hull) return;
+
+            event.stopPropagation();
+            onSelect(hull.nodes, { additive: Boolean(event.ctrlKey || event.metaKey) });
+        };
+
+        container.addEventListener('mousedown', handleMouseDown, { capture: true });
+        container.addEventListener('click', handleClick, { capture: true });
+        return () => {
+            sigma.off('enterNode', handleEnter);
+            sigma.off('leaveNode', handleLeave);
+            sigma.off('enterEdge', handleEnter);
+            sigma.off('leaveEdge', handleLeave);
+            container.removeEventListener('mousedown', handleMouseDown, { capture: true });
+            container.removeEventListener('click', handleClick, { capture: true });
+        };
+    }, [sigma, onSelect]);
+
+    return null;
+}
+
+// Centrality metrics the viewer can compute, as tooltip fields (the key is also the node attribute)
+const CENTRALITY_METRICS = [
+    { key: 'degree', label: 'Degree', format: 'number', maxLength: null, decimals: 0, highlight: false },
+    { key: 'pagerank', label: 'PageRank', format: 'number', maxLength: null, decimals: 4, highlight: false },
+    { key: 'betweenness', label: 'Betweenness', format: 'number', maxLength: null, decimals: 4, highlight: false },
+    { key: 'closeness', label: 'Closeness', format: 'number', maxLength: null, decimals: 4, highlight: false },
+];
+
+const CENTRALITY_METRIC_NAMES = CENTRALITY_METRICS.map(metric => metric.key);
+
+const DEFAULT_SIZE_RANGE = [5, 30];
+const DEFAULT_COLOR_RANGE = ['#fde68a', '#b91c1c'];
+
+// Number of top nodes per metric reported to Python
+const TOP_METRIC_NODES = 10;
+
+/**
+ * Resolve the metrics, size_by, color_by, size_range and color_range props
+ *
+ * metrics is True (every metric) or a list of metric names. size_by / color_by may
+ * name a metric - it is then computed even if metrics doesn't list it - or any numeric
+ * node attribute from graph_data. Invalid values are ignored with a console warning.
+ *
+ * @returns {Object|null} { metrics, sizeBy, colorBy, sizeRange, colorRange }, or null when there is nothing to do
+ */
+function resolveMetricsConfig({ metrics, sizeBy, colorBy, sizeRange, colorRange }) {
+    let names = [];
+    if (metrics === true) {
+        names = [...CENTRALITY_METRIC_NAMES];
+    } else if (Array.isArray(metrics)) {
+        names = metrics.filter((name) => {
+            if (CENTRALITY_METRIC_NAMES.includes(name)) return true;
+            console.warn(`metrics: unknown metric "${name}", expected one of ${CENTRALITY_METRIC_NAMES.join(', ')}`);
+            return false;
         });
+    } else if (metrics) {
+        console.warn('metrics should be True or a list of metric names, got:', metrics);
+    }
 
-        // Continue animation if still moving
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist > 0.1) { // Continue until very close to target
-            animationFrameRef.current = requestAnimationFrame(() => animateDrag(node, graph));
-        }
-    }, []);
+    [sizeBy, colorBy].forEach((name) => {
+        if (CENTRALITY_METRIC_NAMES.includes(name) && !names.includes(name)) names.push(name);
+    });
+    // Keep the canonical order
+    names = CENTRALITY_METRIC_NAMES.filter(name => names.includes(name));
+
+    const isSizeRange = Array.isArray(sizeRange) && sizeRange.length === 2
+        && sizeRange.every(value => typeof value === 'number' && Number.isFinite(value) && value > 0)
+        && sizeRange[0] <= sizeRange[1];
+    if (sizeRange !== undefined && !isSizeRange) {
+        console.warn('size_range should be [min, max] with 0 < min <= max, got:', sizeRange);
+    }
 
-    useEffect(() => {
-        let isDragging = false;
-        let currentNode = null;
-        let originalSize = null;
+    const isColorRange = Array.isArray(colorRange) && colorRange.length === 2 && colorRange.every(parseHexColor);
+    if (colorRange !== undefined && !isColorRange) {
+        console.warn('color_range should be two hex colors [low, high], got:', colorRange);
+    }
 
-        // Register event handlers for node dragging
-        registerEvents({
-            downNode: (e) => {
-                console.log('Node down:', e.node);
+    if (names.length === 0 && !sizeBy && !colorBy) return null;
 
-                // Start potential drag
-                currentNode = e.node;
-                setDraggedNode(e.node);
-                isDragging = false; // Not dragging yet, waiting for movement
+    return {
+        metrics: names,
+        sizeBy: sizeBy || null,
+        colorBy: colorBy || null,
+        sizeRange: isSizeRange ? sizeRange : DEFAULT_SIZE_RANGE,
+        colorRange: isColorRange ? colorRange : DEFAULT_COLOR_RANGE,
+    };
+}
 
-                const graph = sigma.getGraph();
+/**
+ * Parse "#rgb" or "#rrggbb" into [r, g, b]
+ *
+ * @returns {number[]|null} Channels 0-255, or null if not a hex color
+ */
+function parseHexColor(color) {
+    const match = typeof color === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+    if (!match) return null;
 
-                // Store initial position to detect drag vs click
-                const nodeX = graph.getNodeAttribute(e.node, 'x');
-                const nodeY = graph.getNodeAttribute(e.node, 'y');
+    const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
 
-                dragStartPosRef.current = { x: nodeX, y: nodeY };
-                currentPosRef.current = { x: nodeX, y: nodeY, vx: 0, vy: 0 };
-                targetPosRef.current = { x: nodeX, y: nodeY };
+/**
+ * Color between two hex colors (t = 0 gives from, t = 1 gives to)
+ */
+function interpolateColor(from, to, t) {
+    const a = parseHexColor(from);
+    const b = parseHexColor(to);
+    return `#${a.map((channel, i) => Math.round(channel + (b[i] - channel) * t).toString(16).padStart(2, '0')).join('')}`;
+}
 
-                // Calculate depths of all connected nodes using BFS
-                nodeDepthsRef.current = calculateNodeDepths(graph, e.node);
+/**
+ * Copy a multigraph into a simple graph, merging parallel edges into one
+ *
+ * @param {Graph} graph - Graphology multigraph
+ * @returns {Graph} Graph of the same type without parallel edges (attributes are not copied)
+ */
+function toSimpleGraph(graph) {
+    const simple = new Graph({ type: graph.type, allowSelfLoops: graph.allowSelfLoops });
+    graph.forEachNode(node => simple.addNode(node));
+    graph.forEachEdge((edge, attrs, source, target, sourceAttrs, targetAttrs, undirected) => {
+        if (undirected) {
+            simple.mergeUndirectedEdge(source, target);
+        } else {
+            simple.mergeDirectedEdge(source, target);
+        }
+    });
+    return simple;
+}
 
-                // Store all affected nodes (all nodes up to depth 3)
-                affectedNodesRef.current = Array.from(nodeDepthsRef.current.keys()).filter(
-                    node => nodeDepthsRef.current.get(node) <= 3
-                );
+/**
+ * Compute centrality metrics for every node
+ *
+ * - degree: number of edges (in + out for directed graphs)
+ * - pagerank: PageRank score (damping 0.85), summing to 1
+ * - betweenness: normalized betweenness centrality
+ * - closeness: Wasserman-Faust closeness, comparable across disconnected components
+ *
+ * All metrics ignore edge weights. A metric that fails (e.g. PageRank not converging)
+ * is skipped with a warning.
+ *
+ * @param {Graph} graph - Graphology graph (all edges directed or all undirected)
+ * @param {string[]} names - Metrics to compute
+ * @returns {Object} { [metric]: { [node]: value } }
+ */
+function computeCentralityMetrics(graph, names) {
+    const compute = {
+        degree: () => {
+            const values = {};
+            graph.forEachNode((node) => {
+                values[node] = graph.degree(node);
+            });
+            return values;
+        },
+        pagerank: () => pagerank(graph, { getEdgeWeight: null }),
+        betweenness: () => betweennessCentrality(graph, { getEdgeWeight: null }),
+        // graphology-metrics closeness miscounts parallel edges, so it runs on a simple copy
+        closeness: () => closenessCentrality(graph.multi ? toSimpleGraph(graph) : graph, { wassermanFaust: true }),
+    };
 
-                console.log(`Dragging ${e.node}: ${affectedNodesRef.current.length} nodes affected`);
+    const results = {};
+    names.forEach((name) => {
+        try {
+            results[name] = compute[name]();
+        } catch (error) {
+            console.warn(`Unable to compute ${name}:`, error);
+        }
+    });
+    return results;
+}
 
-                // Highlight the node and animate scale up
-                graph.setNodeAttribute(e.node, 'highlighted', true);
+/**
+ * Centrality Handler Component
+ * Computes centrality metrics on demand and maps node size and color onto them
+ *
+ * Each requested metric (metrics prop) is stored as a node attribute of the same name,
+ * shown in the node tooltip and reported through on_metrics_computed. size_by and
+ * color_by scale node sizes over size_range and colors over color_range, linearly
+ * between the lowest and highest value of the attribute. Metrics are recomputed when
+ * nodes or edges come and go; everything the handler wrote is put back when it is
+ * turned off. color_by takes precedence over community colors.
+ */
+function CentralityHandler({ config, emitEvent }) {
+    const sigma = useSigma();
+    const [structureVersion, setStructureVersion] = useState(0);
+    const [syncVersion, setSyncVersion] = useState(0);
+    const [computedVersion, setComputedVersion] = useState(0);
+    const metricsKey = config.metrics.join(',');
 
-                // Store original size and scale up node on grab
-                originalSize = graph.getNodeAttribute(e.node, 'size');
-                graph.setNodeAttribute(e.node, 'size', originalSize * 1.5);
+    // Metrics depend on the structure only; the size/color mapping also on graph_data updates
+    useEffect(() => {
+        const graph = sigma.getGraph();
+        const events = ['nodeAdded', 'edgeAdded', 'nodeDropped', 'edgeDropped', 'cleared'];
+        const bumpStructure = () => {
+            setStructureVersion(version => version + 1);
+            setSyncVersion(version => version + 1);
+        };
+        const bumpOnSync = ({ type }) => {
+            if (type === 'update' || type === 'replace') setSyncVersion(version => version + 1);
+        };
 
-                // Prevent camera drag when interacting with a node
-                e.preventSigmaDefault();
-            },
-            mousemovebody: (e) => {
-                // Only update position if we're actively dragging
-                if (!currentNode) return;
+        events.forEach(event => graph.on(event, bumpStructure));
+        graph.on('nodeAttributesUpdated', bumpOnSync);
+        return () => {
+            events.forEach(event => graph.off(event, bumpStructure));
+            graph.off('nodeAttributesUpdated', bumpOnSync);
+        };
+    }, [sigma]);
 
-                // Get current mouse position in graph coordinates
-                const pos = sigma.viewportToGraph(e);
+    // Compute the metrics and store them as node attributes
+    useEffect(() => {
+        const graph = sigma.getGraph();
+        const names = metricsKey ? metricsKey.split(',') : [];
+        if (names.length === 0 || graph.order === 0) return undefined;
 
-                const graph = sigma.getGraph();
+        const results = computeCentralityMetrics(graph, names);
+        const computed = Object.keys(results);
+        const originals = new Map();
 
-                // Check if mouse moved significantly (threshold for drag vs click)
-                const dx = pos.x - dragStartPosRef.current.x;
-                const dy = pos.y - dragStartPosRef.current.y;
-                const dist = Math.sqrt(dx * dx + dy * dy);
+        graph.forEachNode((node, attrs) => {
+            const values = {};
+            computed.forEach((name) => {
+                values[name] = results[name][node];
+            });
+            originals.set(node, { before: Object.fromEntries(computed.map(name => [name, attrs[name]])), values });
+            graph.mergeNodeAttributes(node, values);
+        });
+        setComputedVersion(version => version + 1);
 
-                if (dist > 5) { // Threshold: 5 units of movement = drag
-                    isDragging = true;
-                }
+        // Report every value plus the top nodes per metric
+        const nodeValues = {};
+        originals.forEach((entry, node) => {
+            nodeValues[node] = entry.values;
+        });
+        const top = Object.fromEntries(computed.map(name => [
+            name,
+            Object.entries(results[name])
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, TOP_METRIC_NODES)
+                .map(([id, value]) => ({ id, value })),
+        ]));
 
-                if (isDragging) {
-                    // Update target position for smooth animation
-                    targetPosRef.current = { x: pos.x, y: pos.y };
+        console.log(`Computed ${computed.join(', ')} for ${graph.order} nodes`);
+        emitEvent('onMetricsComputed', { metrics: computed, values: nodeValues, top });
 
-                    // Cancel previous animation frame and start new one
-                    if (animationFrameRef.current) {
-                        cancelAnimationFrame(animationFrameRef.current);
-                    }
-                    animationFrameRef.current = requestAnimationFrame(() => animateDrag(currentNode, graph));
-                }
+        return () => {
+            originals.forEach(({ before, values: applied }, node) => {
+                computed.forEach((name) => {
+                    restoreNodeAttribute(graph, node, name, applied[name], before[name]);
+                });
+            });
+        };
+    }, [metricsKey, sigma, emitEvent, structureVersion]);
 
-                // Prevent camera drag
-                e.preventSigmaDefault();
-            },
-            mouseup: (e) => {
-                console.log('Node mouse up, isDragging:', isDragging);
+    // Map size_by / color_by onto node sizes and colors
+    useEffect(() => {
+        const { sizeBy, colorBy, sizeRange, colorRange } = config;
+        const graph = sigma.getGraph();
+        if ((!sizeBy && !colorBy) || graph.order === 0) return undefined;
+
+        // Lowest and highest numeric value of an attribute, and a 0-1 scale onto them
+        const scaleFor = (name) => {
+            let min = Infinity;
+            let max = -Infinity;
+            graph.forEachNode((node, attrs) => {
+                const value = attrs[name];
+                if (typeof value !== 'number' || !Number.isFinite(value)) return;
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            });
+            if (min === Infinity) {
+                console.warn(`No numeric "${name}" attribute to map`);
+                return null;
+            }
+            return value => (max > min ? (value - min) / (max - min) : 0.5);
+        };
 
-                // Handle drag end or click
-                if (currentNode) {
-                    const graph = sigma.getGraph();
+        const mappings = [];
+        if (sizeBy) {
+            const scale = scaleFor(sizeBy);
+            if (scale) mappings.push({ attribute: 'size', from: sizeBy, map: value => sizeRange[0] + (sizeRange[1] - sizeRange[0]) * scale(value) });
+        }
+        if (colorBy) {
+            const scale = scaleFor(colorBy);
+            if (scale) mappings.push({ attribute: 'color', from: colorBy, map: value => interpolateColor(colorRange[0], colorRange[1], scale(value)) });
+        }
 
-                    // Cancel animation
-                    if (animationFrameRef.current) {
-                        cancelAnimationFrame(animationFrameRef.current);
-                        animationFrameRef.current = null;
-                    }
+        const originals = [];
+        graph.forEachNode((node, attrs) => {
+            mappings.forEach(({ attribute, from, map }) => {
+                const value = attrs[from];
+                if (typeof value !== 'number' || !Number.isFinite(value)) return;
 
-                    // Remove highlight from node
-                    graph.removeNodeAttribute(currentNode, 'highlighted');
+                const applied = map(value);
+                originals.push({ node, attribute, applied, original: attrs[attribute] });
+                graph.setNodeAttribute(node, attribute, applied);
+            });
+        });
+        sigma.refresh();
 
-                    // Animate scale back to original size (bounce effect)
-                    if (originalSize) {
-                        graph.setNodeAttribute(currentNode, 'size', originalSize);
-                    }
+        return () => {
+            originals.forEach(({ node, attribute, applied, original }) => {
+                restoreNodeAttribute(graph, node, attribute, applied, original);
+            });
+        };
+    }, [config, sigma, computedVersion, syncVersion]);
 
-                    if (isDragging) {
-                        // This was a drag operation
-                        console.log('Node drag ended');
+    return null;
+}
 
-                        // If dragNeighbors is true, mark node as fixed (position locked)
-                        if (dragNeighbors) {
-                            graph.setNodeAttribute(currentNode, 'fixed', true);
-                            console.log('Node position locked:', currentNode);
-                        }
-                    } else {
-                        // This was a click (no significant movement)
-                        console.log('Node clicked:', currentNode);
+/**
+ * Compute a content hash of the incoming graph data
+ *
+ * Covers every node id, node attribute and edge (endpoints and attributes), so any
+ * change from Python - including label or color only updates - yields a new key.
+ * Uses 32-bit FNV-1a over the JSON text, prefixed with its length to make collisions unlikely.
+ *
+ * @param {Object} data - Graph data from the graph_data prop
+ * @returns {string} Hash string, stable for identical content
+ */
+function hashGraphData(data) {
+    if (!data || !data.nodes || data.nodes.length === 0) {
+        return 'empty';
+    }
 
-                        // Trigger click handler if provided
-                        if (onNodeClick) {
-                            onNodeClick(currentNode);
-                        }
-                    }
+    let text;
+    try {
+        text = JSON.stringify({ options: data.options, nodes: data.nodes, edges: data.edges });
+    } catch (error) {
+        console.warn('Unable to hash graph data, forcing a sync:', error);
+        return `unhashable-${Date.now()}`;
+    }
 
-                    setDraggedNode(null);
-                    isDragging = false;
-                    currentNode = null;
-                    originalSize = null;
-                    dragStartPosRef.current = null;
-                    targetPosRef.current = null;
-                    currentPosRef.current = null;
-                    nodeDepthsRef.current = null;
-                    affectedNodesRef.current = null;
-                }
-            },
-            // Also handle mouse leaving the canvas
-            mouseout: (e) => {
-                if (currentNode) {
-                    console.log('Mouse left canvas while interacting');
+    return `${text.length}-${hashString(text).toString(36)}`;
+}
 
-                    const graph = sigma.getGraph();
+// Graph types accepted in graph_data.options.type
+const GRAPH_TYPES = ['directed', 'undirected', 'mixed'];
 
-                    // Cancel animation
-                    if (animationFrameRef.current) {
-                        cancelAnimationFrame(animationFrameRef.current);
-                        animationFrameRef.current = null;
-                    }
+/**
+ * Resolve graph_data.options into the Graphology constructor options of the live graph
+ *
+ * Without options the graph is directed, as before. multi allows parallel edges
+ * between the same nodes; allowSelfLoops defaults to true like in Graphology.
+ *
+ * @param {Object} options - options from the graph_data prop
+ * @returns {{type: string, multi: boolean, allowSelfLoops: boolean}}
+ */
+function resolveGraphOptions(options) {
+    let type = options?.type ?? 'directed';
+    if (!GRAPH_TYPES.includes(type)) {
+        console.warn(`graph_data.options: unknown type "${type}", using "directed"`);
+        type = 'directed';
+    }
+    return {
+        type,
+        multi: Boolean(options?.multi),
+        allowSelfLoops: options?.allowSelfLoops ?? true,
+    };
+}
 
-                    // Remove highlight from node
-                    graph.removeNodeAttribute(currentNode, 'highlighted');
+/**
+ * Normalize incoming graph data into keyed node and edge maps
+ *
+ * Supports both Graphology format {key, attributes} and simplified format {id, ...attributes}.
+ * Edges without an explicit key get a deterministic one derived from their endpoints
+ * ("source->target", with a "#n" suffix for repeats) so they can be matched across updates.
+ *
+ * @param {Object} data - Graph data from the graph_data prop
+ * @returns {{nodes: Map<string, Object>, edges: Map<string, Object>, undirected: boolean}}
+ */
+function normalizeGraphData(data) {
+    const nodes = new Map();
+    const edges = new Map();
+    const undirected = data?.options?.type === 'undirected';
+
+    data?.nodes?.forEach((node) => {
+        if (!node) return;
+
+        // Support both Graphology format {key, attributes} and simplified format {id, ...attributes}
+        let key, attributes;
+
+        if (node.key && node.attributes) {
+            key = node.key;
+            attributes = node.attributes;
+        } else if (node.id) {
+            key = node.id;
+            const { id: _id, ...rest } = node;
+            attributes = rest;
+        }
 
-                    // Restore original size
-                    if (originalSize) {
-                        graph.setNodeAttribute(currentNode, 'size', originalSize);
-                    }
+        if (key) {
+            nodes.set(String(key), attributes);
+        }
+    });
 
-                    // Lock position if dragNeighbors is true and we were dragging
-                    if (isDragging && dragNeighbors) {
-                        graph.setNodeAttribute(currentNode, 'fixed', true);
-                    }
+    data?.edges?.forEach((edge) => {
+        if (!edge || !edge.source || !edge.target) return;
 
-                    setDraggedNode(null);
-                    isDragging = false;
-                    currentNode = null;
-                    originalSize = null;
-                    dragStartPosRef.current = null;
-                    targetPosRef.current = null;
-                    currentPosRef.current = null;
-                    nodeDepthsRef.current = null;
-                    affectedNodesRef.current = null;
+        const attributes = edge.attributes || {};
+        // If using simplified format, edge properties might be at top level
+        if (!edge.attributes) {
+            Object.keys(edge).forEach(k => {
+                if (k !== 'source' && k !== 'target' && k !== 'key') {
+                    attributes[k] = edge[k];
                 }
-            },
-        });
+            });
+        }
 
-        // Cleanup on unmount
-        return () => {
-            if (animationFrameRef.current) {
-                cancelAnimationFrame(animationFrameRef.current);
+        let key = edge.key ? String(edge.key) : null;
+        if (!key) {
+            const baseKey = `${edge.source}->${edge.target}`;
+            key = baseKey;
+            for (let i = 1; edges.has(key); i++) {
+                key = `${baseKey}#${i}`;
             }
-        };
-    }, [sigma, registerEvents, dragNeighbors, onNodeClick, animateDrag]); // Re-register when props change
+        }
 
-    return null;
+        edges.set(key, { source: String(edge.source), target: String(edge.target), attributes });
+    });
+
+    return { nodes, edges, undirected };
 }
 
 /**
- * Node Click Highlighting Component
- * Highlights clicked node and its 1st-degree neighbors, dims all other nodes
+ * Place newly added nodes next to their already-positioned neighbours
  *
- * Interaction:
- * - Click node: Highlight it + neighbors, dim others
- * - Click same node or background: Reset to normal
+ * Each node goes to the centroid of its positioned neighbours plus a small offset,
+ * repeating until chains of new nodes are all placed. Nodes without any positioned
+ * neighbour are scattered randomly, like on the initial load.
+ *
+ * @param {Graph} graph - Live Graphology graph
+ * @param {string[]} nodes - Keys of nodes that still need coordinates
+ * @param {string|number|null} seed - Layout seed for reproducible placement (see createRandom)
  */
-function NodeClickHighlighter({ selectedNode, onNodeClick }) {
-    const sigma = useSigma();
-    const registerEvents = useRegisterEvents();
+function placeNewNodes(graph, nodes, seed = null) {
+    if (nodes.length === 0) return;
+
+    const pending = new Set(nodes);
+
+    // Typical distance between nodes, used to keep new nodes close to (but not on top of) neighbours
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity, positioned = 0;
+    graph.forEachNode((node, attrs) => {
+        if (pending.has(node)) return;
+        minX = Math.min(minX, attrs.x);
+        maxX = Math.max(maxX, attrs.x);
+        minY = Math.min(minY, attrs.y);
+        maxY = Math.max(maxY, attrs.y);
+        positioned++;
+    });
+    const spacing = positioned > 1
+        ? Math.max(maxX - minX, maxY - minY) / Math.sqrt(positioned)
+        : 30;
+
+    let placedAny = true;
+    while (pending.size > 0 && placedAny) {
+        placedAny = false;
+
+        pending.forEach((node) => {
+            let sumX = 0, sumY = 0, count = 0;
+            graph.forEachNeighbor(node, (neighbor, attrs) => {
+                if (pending.has(neighbor)) return;
+                sumX += attrs.x;
+                sumY += attrs.y;
+                count++;
+            });
 
-    // Register click on stage (background) to clear selection
-    useEffect(() => {
-        registerEvents({
-            clickStage: () => {
-                console.log('Stage clicked - clearing selection');
-                onNodeClick(null);
+            if (count > 0) {
+                const angle = createRandom(seed, node)() * 2 * Math.PI;
+                graph.mergeNodeAttributes(node, {
+                    x: sumX / count + Math.cos(angle) * spacing,
+                    y: sumY / count + Math.sin(angle) * spacing,
+                });
+                pending.delete(node);
+                placedAny = true;
             }
         });
-    }, [registerEvents, onNodeClick]);
+    }
 
-    // Apply highlighting effect based on selected node
-    useEffect(() => {
-        const graph = sigma.getGraph();
+    // Random initial positions (will be adjusted by force-directed layout)
+    const spreadArea = Math.sqrt(graph.order) * 30; // Spread based on node count
+    pending.forEach((node) => {
+        const random = createRandom(seed, node);
+        graph.mergeNodeAttributes(node, {
+            x: (random() - 0.5) * spreadArea,
+            y: (random() - 0.5) * spreadArea,
+        });
+    });
+}
 
-        if (selectedNode) {
-            console.log('Applying highlight to node:', selectedNode, 'and neighbors');
+/**
+ * Apply the difference between two normalized graph snapshots to the live graph
+ *
+ * Only nodes and edges whose incoming attributes changed are touched, so runtime state
+ * (positions after dragging or layout, fixed flags, highlights) survives updates.
+ * Incoming x/y only move an existing node when the coordinate itself changed.
+ *
+ * @param {Graph} graph - Live Graphology graph owned by Sigma
+ * @param {Object} next - Normalized incoming data (see normalizeGraphData)
+ * @param {Object} previous - Normalized data from the previous sync
+ * @param {Object} options
+ * @param {Object|null} options.movedPositions - When given, new coordinates for existing nodes are
+ *   collected here ({ [node]: { x, y } }) for the caller to animate instead of being applied
+ * @param {string|number|null} options.seed - Layout seed for placing new nodes
+ * @param {Object|null} options.savedPositions - Coordinates from the node_positions prop; new
+ *   nodes start there instead of at their incoming x/y
+ * @param {Set<string>|null} options.restoredNodes - When given, new nodes that started at a saved
+ *   position are added here
+ * @returns {{added: number, removed: number, updated: number, restored: number}} Change counts
+ */
+function syncGraph(graph, next, previous, { movedPositions = null, seed = null, savedPositions = null, restoredNodes = null } = {}) {
+    const stats = { added: 0, removed: 0, updated: 0, restored: 0 };
+
+    // Drop edges that disappeared or whose endpoints changed
+    previous.edges.forEach((edge, key) => {
+        const incoming = next.edges.get(key);
+        if (incoming && incoming.source === edge.source && incoming.target === edge.target) return;
+        if (graph.hasEdge(key)) {
+            graph.dropEdge(key);
+            stats.removed++;
+        }
+    });
 
-            // Get all neighbors of selected node
-            const neighbors = new Set(graph.neighbors(selectedNode));
-            neighbors.add(selectedNode); // Include the selected node itself
+    // Drop nodes that disappeared (Graphology also drops their remaining edges)
+    previous.nodes.forEach((attributes, key) => {
+        if (!next.nodes.has(key) && graph.hasNode(key)) {
+            graph.dropNode(key);
+            stats.removed++;
+        }
+    });
 
-            console.log('Highlighted nodes count:', neighbors.size);
+    // Add new nodes and update changed ones
+    const unplacedNodes = [];
+    next.nodes.forEach((attributes, key) => {
+        const previousAttributes = previous.nodes.get(key);
 
-            // Set node reducer to dim non-highlighted nodes
-            sigma.setSetting('nodeReducer', (node, data) => {
-                if (neighbors.has(node)) {
-                    // Keep highlighted nodes normal (or slightly emphasized)
-                    return {
-                        ...data,
-                        zIndex: 1, // Bring to front
-                    };
-                } else {
-                    // Dim non-highlighted nodes
-                    return {
-                        ...data,
-                        color: '#E2E2E2',
-                        label: data.label, // Keep label but it will be dimmed
-                        zIndex: 0,
-                    };
-                }
+        if (!graph.hasNode(key)) {
+            const saved = savedPositions && savedPositions[key];
+            const hasSavedPosition = Boolean(saved) && Number.isFinite(saved.x) && Number.isFinite(saved.y);
+
+            graph.addNode(key, {
+                ...attributes,
+                ...(hasSavedPosition ? { x: saved.x, y: saved.y } : {}),
+                size: attributes.size || 15,  // Node size
             });
+            if (hasSavedPosition) {
+                if (restoredNodes) restoredNodes.add(key);
+                stats.restored++;
+            } else if (attributes.x === undefined || attributes.y === undefined) {
+                unplacedNodes.push(key);
+            }
+            stats.added++;
+            return;
+        }
 
-            // Set edge reducer to only show edges connected to highlighted nodes
-            sigma.setSetting('edgeReducer', (edge, data) => {
-                const graph = sigma.getGraph();
-                const [source, target] = graph.extremities(edge);
+        if (previousAttributes && JSON.stringify(previousAttributes) === JSON.stringify(attributes)) return;
+
+        graph.updateNodeAttributes(key, (current) => {
+            const updated = { ...current };
+
+            // Remove attributes Python stopped sending (the live position always stays)
+            Object.keys(previousAttributes || {}).forEach((name) => {
+                if (!(name in attributes) && name !== 'x' && name !== 'y') {
+                    delete updated[name];
+                }
+            });
 
-                if (neighbors.has(source) || neighbors.has(target)) {
-                    // Keep edges to/from highlighted nodes visible
-                    return data;
-                } else {
-                    // Hide or dim edges between non-highlighted nodes
-                    return {
-                        ...data,
-                        hidden: true,
-                    };
+            Object.entries(attributes).forEach(([name, value]) => {
+                if (name === 'x' || name === 'y') {
+                    // Keep the live coordinate unless Python actually moved the node
+                    if (previousAttributes && previousAttributes[name] === value) return;
+                    if (movedPositions) {
+                        movedPositions[key] = { x: current.x, y: current.y, ...movedPositions[key], [name]: value };
+                        return;
+                    }
                 }
+                updated[name] = value;
             });
-        } else {
-            // No selection - reset to normal rendering
-            console.log('Clearing highlight - showing all nodes normally');
-            sigma.setSetting('nodeReducer', null);
-            sigma.setSetting('edgeReducer', null);
+
+            updated.size = attributes.size || 15;
+            return updated;
+        });
+        stats.updated++;
+    });
+
+    // Add new edges and update changed ones
+    next.edges.forEach((edge, key) => {
+        // CRITICAL FIX: Add default size attribute to edges for better hover detection
+        // Without size, edges are too thin to hover over in Sigma.js
+        const edgeAttrs = {
+            size: 3,  // Default edge thickness (makes edges easier to hover)
+            ...edge.attributes,
+        };
+
+        if (graph.hasEdge(key)) {
+            const previousEdge = previous.edges.get(key);
+            if (previousEdge && JSON.stringify(previousEdge.attributes) === JSON.stringify(edge.attributes)) return;
+            graph.replaceEdgeAttributes(key, edgeAttrs);
+            stats.updated++;
+            return;
         }
 
-        // Refresh the display
-        sigma.refresh();
-    }, [sigma, selectedNode]);
+        try {
+            if (next.undirected) {
+                graph.addUndirectedEdgeWithKey(key, edge.source, edge.target, edgeAttrs);
+            } else {
+                graph.addDirectedEdgeWithKey(key, edge.source, edge.target, edgeAttrs);
+            }
+            stats.added++;
+        } catch (e) {
+            console.warn('Failed to add edge:', key, e);
+        }
+    });
 
-    return null;
+    // Position new nodes once their edges exist, so they land next to their neighbours
+    placeNewNodes(graph, unplacedNodes, seed);
+
+    return stats;
 }
 
 /**
- * Shortest Path Highlighter Component
- * Allows users to select two nodes and visualizes the shortest path between them
+ * Graph Data Loader Component
+ * Keeps Sigma's live graph in sync with the graph_data prop
  *
- * Interaction:
- * - Click first node: Marks as path start (green border)
- * - Click second node: Calculates and highlights shortest path (orange)
- * - Click outside (not on path nodes/edges): Resets and shows everything
+ * The first non-empty data is laid out with the selected algorithm. After that, incoming
+ * data is diffed against the previous snapshot and only the nodes and edges that changed
+ * are added, removed or updated - existing positions and the camera are preserved.
+ * Changing layout_type, layout_settings, the radial focus or layout_seed re-runs the
+ * layout on the live graph. With a layout_seed, initial placement is reproducible. Nodes tween to their new positions (after a synchronous relayout and when
+ * Python sends new x/y) over transition_duration milliseconds; worker layouts stream in.
+ *
+ * Change detection uses a content hash of the data, or the data_version prop when Python
+ * provides one (cheaper for very large graphs - bump it whenever graph_data changes).
+ * Changing graph_data.options is not diffed: the viewer hands this loader a new, empty
+ * graph, so the data is loaded and laid out from scratch as on first load.
+ *
+ * Nodes listed in node_positions (saved from on_positions_change) start at their saved
+ * coordinates. When a fresh graph restores saved positions, the layout only places the
+ * remaining nodes around them. Saved positions arriving after the data (Python loading
+ * them asynchronously) are applied the same way to nodes not restored yet.
+ *
+ * Fires on_layout_complete whenever a layout has been applied, followed by a debounced
+ * on_positions_change.
  */
-function ShortestPathHighlighter({ pathStart, pathEnd, onPathStartChange, onPathEndChange }) {
+function GraphDataLoader({
+    data,
+    dataVersion,
+    nodePositions,
+    layoutType,
+    layoutSettings,
+    antiOverlap,
+    focusNode,
+    layoutSeed,
+    transitionDuration,
+    emitEvent,
+}) {
     const sigma = useSigma();
-    const registerEvents = useRegisterEvents();
-    const [path, setPath] = useState(null);
+    const previousDataRef = useRef({ nodes: new Map(), edges: new Map(), undirected: false });
+    const appliedLayoutRef = useRef(null);
+    // Nodes placed from node_positions so far, per graph
+    const restoredRef = useRef({ graph: null, nodes: new Set() });
+
+    // Latest props, read when data arrives (changes are detected through dataKey only)
+    const propsRef = useRef(null);
+    propsRef.current = { data, nodePositions, layoutType, layoutSettings, antiOverlap, focusNode, layoutSeed, transitionDuration };
+
+    const getRestoredNodes = useCallback((graph) => {
+        if (restoredRef.current.graph !== graph) {
+            restoredRef.current = { graph, nodes: new Set() };
+        }
+        return restoredRef.current.nodes;
+    }, []);
 
-    // Calculate shortest path when both nodes are selected
-    useEffect(() => {
-        if (!pathStart || !pathEnd || pathStart === pathEnd) {
-            setPath(null);
+    // Lay out a fresh graph, around the nodes restored from node_positions if any
+    const layoutFreshGraph = useCallback((graph) => {
+        const { layoutType, layoutSettings, antiOverlap, focusNode, layoutSeed, transitionDuration } = propsRef.current;
+        const layoutFocus = layoutType === 'radial' ? focusNode : null;
+        appliedLayoutRef.current = { layoutType, layoutSettings, antiOverlap, focusNode: layoutFocus, layoutSeed };
+
+        const options = { antiOverlap, focusNode: layoutFocus, seed: layoutSeed };
+        const restored = getRestoredNodes(graph);
+        let layout;
+        if (restored.size === 0) {
+            layout = applyLayout(graph, layoutType, layoutSettings, options);
+        } else if (graph.someNode(node => !restored.has(node))) {
+            console.log(`Restored ${restored.size} saved node positions, laying out the others around them`);
+            layout = applyLayoutAround(graph, restored, layoutType, layoutSettings, options, transitionDuration);
+        } else {
+            // A fully restored arrangement is kept as it is
+            console.log(`Restored ${restored.size} saved node positions, skipping layout`);
             return;
         }
 
+        layout.then((completed) => {
+            if (!completed) return;
+            emitEvent('onLayoutComplete');
+            schedulePositionsReport(graph, emitEvent);
+        });
+    }, [getRestoredNodes, emitEvent]);
+
+    // Create a stable data key based on actual content (or the explicit version from Python)
+    const hasDataVersion = dataVersion !== undefined && dataVersion !== null && dataVersion !== '';
+    const dataKey = useMemo(() => {
+        if (hasDataVersion) {
+            return `version-${dataVersion}`;
+        }
+        return hashGraphData(data);
+    }, [data, dataVersion, hasDataVersion]);
+
+    // Diff incoming data against the live graph
+    useEffect(() => {
         const graph = sigma.getGraph();
+        const { data, nodePositions, layoutSeed, transitionDuration } = propsRef.current;
+        const next = normalizeGraphData(data);
+        const isInitialLoad = graph.order === 0;
+        const movedPositions = {};
+        if (isInitialLoad) getRestoredNodes(graph).clear();
 
         try {
-            // Calculate shortest path using bidirectional search (fastest)
-            const shortestPath = bidirectional(graph, pathStart, pathEnd);
-
-            if (shortestPath) {
-                console.log(`Shortest path found: ${shortestPath.length} nodes, distance: ${shortestPath.length - 1} hops`);
-                setPath(shortestPath);
-            } else {
-                console.log('No path found between selected nodes');
-                setPath(null);
-            }
+            const stats = syncGraph(graph, next, previousDataRef.current, {
+                movedPositions,
+                seed: layoutSeed,
+                savedPositions: nodePositions,
+                restoredNodes: getRestoredNodes(graph),
+            });
+            console.log('GraphDataLoader synced graph:', stats);
         } catch (error) {
-            console.warn('Error calculating shortest path:', error);
-            setPath(null);
+            console.error('Error syncing graph:', error);
         }
-    }, [pathStart, pathEnd, sigma]);
+        previousDataRef.current = next;
 
-    // Register click on background to clear path
-    useEffect(() => {
-        if (!path || path.length === 0) return;
+        // Nodes Python moved glide to their new coordinates
+        if (Object.keys(movedPositions).length > 0) {
+            animateNodePositions(graph, movedPositions, transitionDuration);
+        }
 
-        registerEvents({
-            clickStage: () => {
-                // Clicked on empty space - reset path
-                console.log('Clicked outside - clearing path');
-                onPathStartChange(null);
-                onPathEndChange(null);
-            }
-        });
-    }, [path, registerEvents, onPathStartChange, onPathEndChange]);
+        // Only a fresh graph gets a full layout - updates keep existing positions
+        if (isInitialLoad && graph.order > 0) {
+            layoutFreshGraph(graph);
+        }
+    }, [dataKey, sigma, getRestoredNodes, layoutFreshGraph]);
 
-    // Apply visual highlighting based on path
+    // Saved positions arriving after the data: move the nodes not restored yet and lay out the others around them
     useEffect(() => {
         const graph = sigma.getGraph();
+        if (graph.order === 0 || !nodePositions) return;
 
-        if (!path || path.length === 0) {
-            // Clear all path highlighting
-            sigma.setSetting('nodeReducer', null);
-            sigma.setSetting('edgeReducer', null);
-            sigma.refresh();
-            return;
-        }
+        const restored = getRestoredNodes(graph);
+        const moved = {};
+        Object.entries(nodePositions).forEach(([node, saved]) => {
+            if (restored.has(node) || !graph.hasNode(node)) return;
+            if (!saved || !Number.isFinite(saved.x) || !Number.isFinite(saved.y)) return;
+
+            restored.add(node);
+            const attrs = graph.getNodeAttributes(node);
+            if (attrs.x !== saved.x || attrs.y !== saved.y) moved[node] = { x: saved.x, y: saved.y };
+        });
 
-        // Create sets for fast lookup
-        const pathNodes = new Set(path);
-        const pathEdges = new Set();
+        // Saved positions matching the live ones (e.g. echoed back from on_positions_change) change nothing
+        if (Object.keys(moved).length === 0) return;
 
-        // Find all edges in the path
-        for (let i = 0; i < path.length - 1; i++) {
-            const source = path[i];
-            const target = path[i + 1];
+        console.log(`Applying ${Object.keys(moved).length} saved node positions`);
+        cancelWorkerLayout(graph);
+        cancelLayoutAnimation(graph);
+        Object.entries(moved).forEach(([node, position]) => graph.mergeNodeAttributes(node, position));
+        layoutFreshGraph(graph);
+    }, [nodePositions, sigma, getRestoredNodes, layoutFreshGraph]);
 
-            // Find the edge between these nodes (check both directions)
-            graph.forEachEdge((edge, attrs, edgeSource, edgeTarget) => {
-                if ((edgeSource === source && edgeTarget === target) ||
-                    (edgeSource === target && edgeTarget === source)) {
-                    pathEdges.add(edge);
-                }
+    // Re-run the layout when the layout type, its settings, the radial focus or the seed change
+    useEffect(() => {
+        const graph = sigma.getGraph();
+        const applied = appliedLayoutRef.current;
+        if (graph.order === 0) return;
+
+        // The focus node only matters to the radial layout
+        const layoutFocus = layoutType === 'radial' ? focusNode : null;
+        if (applied &&
+            applied.layoutType === layoutType &&
+            applied.layoutSettings === layoutSettings &&
+            applied.antiOverlap === antiOverlap &&
+            applied.focusNode === layoutFocus &&
+            applied.layoutSeed === layoutSeed) return;
+
+        appliedLayoutRef.current = { layoutType, layoutSettings, antiOverlap, focusNode: layoutFocus, layoutSeed };
+        const options = { antiOverlap, focusNode: layoutFocus, seed: layoutSeed };
+        applyLayoutAnimated(graph, layoutType, layoutSettings, options, propsRef.current.transitionDuration)
+            .then((completed) => {
+                if (!completed) return;
+                emitEvent('onLayoutComplete');
+                schedulePositionsReport(graph, emitEvent);
             });
-        }
+    }, [layoutType, layoutSettings, antiOverlap, focusNode, layoutSeed, sigma, emitEvent]);
 
-        // Node reducer - HIDE non-path nodes completely
-        sigma.setSetting('nodeReducer', (node, data) => {
-            if (node === pathStart) {
-                // Start node - green border
-                return {
-                    ...data,
-                    size: data.size * 1.5,
-                    borderColor: '#10b981',  // Green
-                    borderSize: 4,
-                    zIndex: 2,
-                };
-            } else if (node === pathEnd) {
-                // End node - red border
-                return {
-                    ...data,
-                    size: data.size * 1.5,
-                    borderColor: '#ef4444',  // Red
-                    borderSize: 4,
-                    zIndex: 2,
-                };
-            } else if (pathNodes.has(node)) {
-                // Path nodes - orange highlight
-                return {
-                    ...data,
-                    size: data.size * 1.2,
-                    borderColor: '#f97316',  // Orange
-                    borderSize: 2,
-                    zIndex: 1,
-                };
-            } else {
-                // Non-path nodes - HIDE completely
-                return {
-                    ...data,
-                    hidden: true,
-                };
-            }
-        });
+    return null; // This component doesn't render anything
+}
 
-        // Edge reducer - HIDE non-path edges completely
-        sigma.setSetting('edgeReducer', (edge, data) => {
-            if (pathEdges.has(edge)) {
-                // Path edges - bright orange and thicker
-                return {
-                    ...data,
-                    color: '#f97316',  // Orange
-                    size: data.size * 2,
-                    zIndex: 1,
-                };
-            } else {
-                // Non-path edges - HIDE completely
-                return {
-                    ...data,
-                    hidden: true,
-                };
-            }
-        });
+/**
+ * Radial Focus Handler Component
+ * Double-clicking a node makes it the centre of the radial layout
+ *
+ * Only active while layout_type is "radial"; the camera zoom Sigma normally
+ * does on double-click is suppressed for nodes.
+ */
+function RadialFocusHandler({ layoutType, onFocusChange }) {
+    const registerEvents = useRegisterEvents();
 
-        sigma.refresh();
+    useEffect(() => {
+        registerEvents({
+            doubleClickNode: (e) => {
+                if (layoutType !== 'radial') return;
 
-        // Cleanup
-        return () => {
-            sigma.setSetting('nodeReducer', null);
-            sigma.setSetting('edgeReducer', null);
-        };
-    }, [path, pathStart, pathEnd, sigma]);
+                console.log('Radial focus:', e.node);
+                onFocusChange(e.node);
+                e.preventSigmaDefault();
+            },
+        });
+    }, [registerEvents, layoutType, onFocusChange]);
 
     return null;
 }
 
-
 /**
- * Graph Data Loader Component
- * Loads graph data into Sigma using the useLoadGraph hook
+ * Node Pin Handler Component
+ * Right-clicking a node toggles whether it is pinned
  *
- * CRITICAL FIX: Uses useMemo and stable data key to prevent unnecessary reloads
- * that would reset node positions during dragging.
+ * Pinned nodes keep their position in every layout. Each change is reported to
+ * Reflex through on_node_pin / on_node_unpin.
  */
-function GraphDataLoader({ data, layoutType }) {
-    const loadGraph = useLoadGraph();
+function NodePinHandler({ emitEvent }) {
     const sigma = useSigma();
-    const graphInstanceRef = useRef(null);
-    const cameraCenteredRef = useRef(false);
+    const registerEvents = useRegisterEvents();
 
-    // Create a stable data key based on actual content
-    const dataKey = useMemo(() => {
-        if (!data || !data.nodes || data.nodes.length === 0) {
-            return null;
-        }
-        // Use node count + edge count + first node ID to detect changes
-        const firstNodeId = data.nodes[0]?.key || '';
-        return `${data.nodes.length}-${data.edges?.length || 0}-${firstNodeId}`;
-    }, [data]);
+    useEffect(() => {
+        registerEvents({
+            rightClickNode: (e) => {
+                // Keep the browser context menu closed
+                e.event.original.preventDefault();
+                e.preventSigmaDefault();
 
-    // Memoize the graph creation to avoid recreating on every render
-    const graphData = useMemo(() => {
-        if (!data || !data.nodes || data.nodes.length === 0) {
-            return null;
-        }
+                const graph = sigma.getGraph();
+                const pinned = !graph.getNodeAttribute(e.node, 'fixed');
+                setNodePinned(graph, e.node, pinned);
 
-        console.log('GraphDataLoader processing new data:', {
-            nodes: data.nodes.length,
-            edges: data.edges?.length || 0
+                console.log(pinned ? 'Node pinned:' : 'Node unpinned:', e.node);
+                emitEvent(pinned ? 'onNodePin' : 'onNodeUnpin', e.node, serializeAttributes(graph.getNodeAttributes(e.node)));
+            },
         });
+    }, [sigma, registerEvents, emitEvent]);
 
-        try {
-            // Create new Graphology graph
-            const graph = new Graph(data.options || { type: 'directed' });
-
-            // Add all nodes first (with random initial positions for force-directed layout)
-            const nodeCount = data.nodes.length;
-            const spreadArea = Math.sqrt(nodeCount) * 30; // Spread based on node count
-
-            data.nodes.forEach((node, index) => {
-                // Support both Graphology format {key, attributes} and simplified format {id, ...attributes}
-                let key, attributes;
-
-                if (node.key && node.attributes) {
-                    key = node.key;
-                    attributes = node.attributes;
-                } else if (node.id) {
-                    key = node.id;
-                    const { id, ...rest } = node;
-                    attributes = rest;
-                }
-
-                if (key) {
-                    // Random initial positions (will be adjusted by force-directed layout)
-                    const x = (Math.random() - 0.5) * spreadArea;
-                    const y = (Math.random() - 0.5) * spreadArea;
-
-                    graph.addNode(key, {
-                        ...attributes,
-                        x: attributes.x !== undefined ? attributes.x : x,
-                        y: attributes.y !== undefined ? attributes.y : y,
-                        size: attributes.size || 15,  // Node size
-                    });
-                }
-            });
-            console.log(`Created graph with ${graph.order} nodes`);
-
-            // Add all edges with default size for better hover detection
-            data.edges?.forEach(edge => {
-                if (edge && edge.source && edge.target) {
-                    try {
-                        // CRITICAL FIX: Add default size attribute to edges for better hover detection
-                        // Without size, edges are too thin to hover over in Sigma.js
-                        const attributes = edge.attributes || {};
-                        // If using simplified format, edge properties might be at top level
-                        if (!edge.attributes) {
-                            Object.keys(edge).forEach(k => {
-                                if (k !== 'source' && k !== 'target' && k !== 'key') {
-                                    attributes[k] = edge[k];
-                                }
-                            });
-                        }
-
-                        const edgeAttrs = {
-                            size: 3,  // Default edge thickness (makes edges easier to hover)
-                            ...attributes,
-                        };
-                        // CRITICAL FIX: Use edge.key if provided, otherwise let Graphology auto-generate
-                        // This ensures graph.extremities() works correctly with the edge key
-                        if (edge.key) {
-                            graph.addEdgeWithKey(edge.key, edge.source, edge.target, edgeAttrs);
-                        } else {
-                            graph.addEdge(edge.source, edge.target, edgeAttrs);
-                        }
-                    } catch (e) {
-                        console.warn('Failed to add edge:', edge, e);
-                    }
-                }
-            });
-            console.log(`Added ${graph.size} edges to graph`);
+    return null;
+}
 
-            // Apply selected layout
-            applyLayout(graph, layoutType);
+/**
+ * Unpin All Control Component
+ * Adds a button to the controls panel that releases every pinned node
+ */
+function UnpinAllControl({ emitEvent }) {
+    const sigma = useSigma();
 
-            return { graph, nodeCount };
-        } catch (error) {
-            console.error('Error creating graph:', error);
-            return null;
-        }
-    }, [dataKey, layoutType]); // Recreate when layout changes
+    const handleUnpinAll = useCallback(() => {
+        const graph = sigma.getGraph();
+        const pinnedNodes = graph.filterNodes((node, attrs) => attrs.fixed);
 
-    // Load graph only when graphData changes
-    useEffect(() => {
-        if (!graphData) {
-            console.warn('No graph data to load');
-            return;
-        }
+        pinnedNodes.forEach((node) => {
+            setNodePinned(graph, node, false);
+            emitEvent('onNodeUnpin', node, serializeAttributes(graph.getNodeAttributes(node)));
+        });
+        console.log(`Unpinned ${pinnedNodes.length} nodes`);
+    }, [sigma, emitEvent]);
 
-        const { graph, nodeCount } = graphData;
+    return (
+        <button
+            onClick={handleUnpinAll}
+            className="react-sigma-control"
+            title="Unpin all nodes"
+            style={{ cursor: 'pointer' }}
+        >
+            <svg
+                width="16"
+                height="16"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2.5"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+            >
+                <path d="M12 17v5M9 10.76V6h6v4.76l2 3.24H7zM8 2h8M3 3l18 18" />
+            </svg>
+        </button>
+    );
+}
 
-        // Reset camera centered flag when new data arrives
-        cameraCenteredRef.current = false;
+/**
+ * Interaction Mode Control Component
+ * Control button cycling through the interaction modes (select → neighborhood → path → none)
+ */
+function InteractionModeControl({ mode, onChange }) {
+    const index = INTERACTION_MODES.findIndex(entry => entry.mode === mode);
+    const current = INTERACTION_MODES[Math.max(index, 0)];
+    const next = INTERACTION_MODES[(index + 1) % INTERACTION_MODES.length];
 
-        // Store reference to current graph
-        graphInstanceRef.current = graph;
+    return (
+        <button
+            onClick={() => onChange(next.mode)}
+            className="react-sigma-control"
+            title={`${current.title} (click for ${next.mode})`}
+            style={{ cursor: 'pointer' }}
+        >
+            <svg
+                width="16"
+                height="16"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2.5"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+            >
+                <path d={current.icon} />
+            </svg>
+        </button>
+    );
+}
 
-        // Load the graph into Sigma
-        loadGraph(graph);
-        console.log('Graph loaded into Sigma successfully');
+/**
+ * Theme Controller Component
+ * Pushes the palette's canvas colors into Sigma's settings
+ *
+ * Done through setSettings instead of SigmaContainer's settings prop - changing
+ * those recreates the Sigma instance (and its graph).
+ */
+function ThemeController({ theme }) {
+    const setSettings = useSetSettings();
 
-        // Let Sigma handle auto-fit
-        console.log('Letting Sigma handle camera auto-fit');
-    }, [graphData, loadGraph]);
+    useEffect(() => {
+        setSettings({
+            defaultNodeColor: theme.nodeColor,
+            defaultEdgeColor: theme.edgeColor,
+            labelColor: { color: theme.labelColor },
+            edgeLabelColor: { color: theme.edgeLabelColor },
+            // Sigma always draws the hover label on a white box - keep its text readable
+            defaultDrawNodeHover: (context, data, settings) => drawDiscNodeHover(context, data, {
+                ...settings,
+                labelColor: { color: theme.hoverLabelColor },
+            }),
+        });
+    }, [theme, setSettings]);
 
-    return null; // This component doesn't render anything
+    return null;
 }
 
 /**
@@ -1661,8 +5794,10 @@ function SigmaCleanupHandler() {
         return () => {
             try {
                 console.log('Cleaning up Sigma instance...');
-                // Clear the graph to release all nodes and edges
+                // Stop any layout worker and clear the graph to release all nodes and edges
                 const graph = sigma.getGraph();
+                cancelWorkerLayout(graph);
+                clearTimeout(positionsReportTimers.get(graph));
                 graph.clear();
                 // Refresh to ensure rendering stops
                 sigma.refresh();
@@ -1680,7 +5815,7 @@ function SigmaCleanupHandler() {
  * Refresh Layout Control Component
  * Adds a refresh icon to the controls panel that reapplies the current layout algorithm
  */
-function RefreshLayoutControl({ layoutType }) {
+function RefreshLayoutControl({ layoutType, layoutSettings, antiOverlap, focusNode, layoutSeed, transitionDuration, emitEvent }) {
     const sigma = useSigma();
     const [isRefreshing, setIsRefreshing] = useState(false);
 
@@ -1690,19 +5825,20 @@ function RefreshLayoutControl({ layoutType }) {
 
         const graph = sigma.getGraph();
 
-        // Reapply the layout algorithm
-        applyLayout(graph, layoutType);
+        // Reapply the layout algorithm, then animate nodes to their new positions
+        const options = { antiOverlap, focusNode, seed: layoutSeed };
+        applyLayoutAnimated(graph, layoutType, layoutSettings, options, transitionDuration).then((completed) => {
+            setIsRefreshing(false);
+            if (!completed) return;
 
-        // Refresh the display
-        sigma.refresh();
+            emitEvent('onLayoutComplete');
+            schedulePositionsReport(graph, emitEvent);
 
-        // Reset the camera to fit the new layout
-        setTimeout(() => {
+            // Reset the camera to fit the new layout
             sigma.getCamera().animatedReset();
-            setIsRefreshing(false);
             console.log('Layout refreshed successfully');
-        }, 100);
-    }, [sigma, layoutType]);
+        });
+    }, [sigma, layoutType, layoutSettings, antiOverlap, focusNode, layoutSeed, transitionDuration, emitEvent]);
 
     return (
         <>
@@ -1745,36 +5881,175 @@ function RefreshLayoutControl({ layoutType }) {
 /**
  * Sigma Graph Viewer Component
  * Main component that wraps SigmaContainer and handles graph visualization
+ *
+ * Reflex event handlers (onNodeClick, onNodeHover, onEdgeClick, onEdgeHover,
+ * onLayoutComplete, onNodePin, onNodeUnpin, onPositionsChange,
+ * onInteractionModeChange, onSelectionChange, onPathFound, onCommunitiesDetected,
+ * onMetricsComputed) are optional props.
+ * Child components never call them directly - they go through the stable emitEvent
+ * callback, so a re-render from Reflex state never re-registers Sigma listeners
+ * mid-interaction.
+ *
+ * theme / customTheme resolve to one palette (see resolveTheme) that is handed to
+ * every component drawing something.
  */
 export default function SigmaGraphViewer({
     graphData,
     settings = {},
     showEdgeLabels = false,
     showNodeLabels = true,
+    dataVersion = '',
+    nodePositions = {},
     searchQuery = '',
     layoutType = 'forceAtlas2',
+    layoutSettings = {},
+    antiOverlap,
+    focusNode = '',
+    transitionDuration = DEFAULT_TRANSITION_DURATION,
+    layoutSeed = '',
     layoutRunning = false,
     dragNeighbors = false,
+    interactionMode = 'select',
+    selectedNodes = [],
+    selectedEdges = [],
+    pathOptions = {},
+    pathSource = '',
+    pathTarget = '',
+    communityDetection = false,
+    metrics = false,
+    sizeBy = '',
+    colorBy = '',
+    sizeRange,
+    colorRange,
     edgeType = 'arrow',
-    showClusterBackgrounds = true,
-    style = { width: '100%', height: '600px' }
+    showClusterBackgrounds = false,
+    clusterOptions = {},
+    theme = 'light',
+    customTheme = {},
+    nodeTooltip,
+    edgeTooltip,
+    edgeDetails,
+    nodeDetails,
+    style = { width: '100%', height: '600px' },
+    onNodeClick,
+    onNodeHover,
+    onEdgeClick,
+    onEdgeHover,
+    onLayoutComplete,
+    onNodePin,
+    onNodeUnpin,
+    onPositionsChange,
+    onInteractionModeChange,
+    onSelectionChange,
+    onPathFound,
+    onCommunitiesDetected,
+    onMetricsComputed,
 }) {
     const containerRef = useRef(null);
     const [containerReady, setContainerReady] = useState(false);
-    const [selectedNode, setSelectedNode] = useState(null);
+
+    // Radial layout focus - set by the focus_node prop or by double-clicking a node
+    const [activeFocusNode, setActiveFocusNode] = useState(focusNode || null);
+    useEffect(() => {
+        setActiveFocusNode(focusNode || null);
+    }, [focusNode]);
 
     // Shortest path state
     const [pathStart, setPathStart] = useState(null);
     const [pathEnd, setPathEnd] = useState(null);
+    const pathOptionsKey = JSON.stringify(pathOptions || {});
+    const resolvedPathOptions = useMemo(() => resolvePathOptions(JSON.parse(pathOptionsKey)), [pathOptionsKey]);
+
+    // Louvain community detection (null when off)
+    const communityOptionsKey = JSON.stringify(communityDetection || false);
+    const communityOptions = useMemo(() => resolveCommunityOptions(JSON.parse(communityOptionsKey)), [communityOptionsKey]);
+
+    // Centrality metrics and size/color mappings (null when off)
+    const metricsConfigKey = JSON.stringify({ metrics, sizeBy, colorBy, sizeRange, colorRange });
+    const metricsConfig = useMemo(() => resolveMetricsConfig(JSON.parse(metricsConfigKey)), [metricsConfigKey]);
+
+    // Cluster hulls group nodes by the community attribute unless cluster_options names another
+    const clusterOptionsKey = JSON.stringify(clusterOptions || {});
+    const communityAttribute = communityOptions ? communityOptions.attribute : DEFAULT_CLUSTER_OPTIONS.attribute;
+    const resolvedClusterOptions = useMemo(
+        () => resolveClusterOptions(JSON.parse(clusterOptionsKey), communityAttribute),
+        [clusterOptionsKey, communityAttribute]
+    );
 
-    // Generate a stable key for the SigmaContainer to force proper unmount/remount
-    const dataKey = useMemo(() => {
-        if (!graphData || !graphData.nodes || graphData.nodes.length === 0) {
-            return 'empty';
+    // Node shown in the node details drawer/modal
+    const [detailsNode, setDetailsNode] = useState(null);
+    const closeNodeDetails = useCallback(() => setDetailsNode(null), []);
+
+    // What a node click does - set by the interaction_mode prop or the on-canvas toggle
+    const [activeInteractionMode, setActiveInteractionMode] = useState(() => resolveInteractionMode(interactionMode));
+
+    // Each mode starts from a clean slate (the selection is kept - Python may own it)
+    const applyInteractionMode = useCallback((mode) => {
+        setActiveInteractionMode(mode);
+        setPathStart(null);
+        setPathEnd(null);
+        if (mode === 'path' || mode === 'none') {
+            setDetailsNode(null);
+        }
+    }, []);
+
+    useEffect(() => {
+        applyInteractionMode(resolveInteractionMode(interactionMode));
+    }, [interactionMode, applyInteractionMode]);
+
+    // Path requested by the path_source / path_target props (after the mode, which clears paths)
+    useEffect(() => {
+        setPathStart(pathSource || null);
+        setPathEnd(pathTarget || null);
+    }, [pathSource, pathTarget]);
+
+    // Keep the latest Reflex event handlers in a ref (they get a new identity on every render)
+    const eventHandlersRef = useRef({});
+    eventHandlersRef.current = {
+        onNodeClick,
+        onNodeHover,
+        onEdgeClick,
+        onEdgeHover,
+        onLayoutComplete,
+        onNodePin,
+        onNodeUnpin,
+        onPositionsChange,
+        onInteractionModeChange,
+        onSelectionChange,
+        onPathFound,
+        onCommunitiesDetected,
+        onMetricsComputed,
+    };
+
+    // Stable dispatcher used by child components to notify Reflex
+    const emitEvent = useCallback((eventName, ...args) => {
+        const handler = eventHandlersRef.current[eventName];
+        if (typeof handler === 'function') {
+            handler(...args);
         }
-        const firstNodeKey = graphData.nodes[0]?.key || '';
-        return `sigma-${graphData.nodes.length}-${graphData.edges?.length || 0}-${firstNodeKey.slice(0, 8)}`;
-    }, [graphData]);
+    }, []);
+
+    // One palette for the canvas and every overlay
+    const prefersDark = usePrefersDarkScheme();
+    const customThemeKey = JSON.stringify(customTheme || {});
+    const palette = useMemo(
+        () => resolveTheme(theme, JSON.parse(customThemeKey), prefersDark),
+        [theme, customThemeKey, prefersDark]
+    );
+
+    // Tooltip and details config, stable across renders with the same content
+    const nodeTooltipKey = JSON.stringify(nodeTooltip ?? null);
+    const resolvedNodeTooltip = useMemo(() => resolveNodeTooltip(JSON.parse(nodeTooltipKey)), [nodeTooltipKey]);
+    const edgeTooltipKey = JSON.stringify(edgeTooltip ?? null);
+    const resolvedEdgeTooltip = useMemo(() => resolveEdgeTooltip(JSON.parse(edgeTooltipKey)), [edgeTooltipKey]);
+    const edgeDetailsKey = JSON.stringify(edgeDetails ?? null);
+    const resolvedEdgeDetails = useMemo(() => resolveEdgeDetails(JSON.parse(edgeDetailsKey)), [edgeDetailsKey]);
+    const nodeDetailsKey = JSON.stringify(nodeDetails ?? null);
+    const resolvedNodeDetails = useMemo(() => resolveNodeDetails(JSON.parse(nodeDetailsKey)), [nodeDetailsKey]);
+
+    // Reflex passes a new object on every render - only treat real changes as new settings
+    const layoutSettingsKey = JSON.stringify(layoutSettings || {});
+    const stableLayoutSettings = useMemo(() => JSON.parse(layoutSettingsKey), [layoutSettingsKey]);
 
     // Ensure container has valid dimensions before rendering Sigma
     useEffect(() => {
@@ -1799,27 +6074,108 @@ export default function SigmaGraphViewer({
         };
     }, []);
 
-    // Handle node click for path selection
-    const handleNodeClick = useCallback((node) => {
+    // Selected nodes/edges - set by the selected_nodes / selected_edges props or by clicks
+    const [selection, setSelection] = useState({ nodes: [], edges: [] });
+    const selectedNodesKey = JSON.stringify(selectedNodes || []);
+    const selectedEdgesKey = JSON.stringify(selectedEdges || []);
+    useEffect(() => {
+        setSelection({ nodes: JSON.parse(selectedNodesKey), edges: JSON.parse(selectedEdgesKey) });
+    }, [selectedNodesKey, selectedEdgesKey]);
+
+    // Selection changes made in the graph are reported back to Python
+    const changeSelection = useCallback((nodes, edges) => {
+        console.log('Selection:', nodes, edges);
+        setSelection({ nodes, edges });
+        emitEvent('onSelectionChange', nodes, edges);
+    }, [emitEvent]);
+
+    const clearSelection = useCallback(() => {
+        if (selection.nodes.length === 0 && selection.edges.length === 0) return;
+        changeSelection([], []);
+    }, [selection, changeSelection]);
+
+    // Toggle from the controls - the only mode change Python doesn't know about yet
+    const handleInteractionModeChange = useCallback((mode) => {
+        console.log('Interaction mode:', mode);
+        applyInteractionMode(mode);
+        emitEvent('onInteractionModeChange', mode);
+    }, [applyInteractionMode, emitEvent]);
+
+    // Handle node click according to the interaction mode, then forward the click to Reflex
+    const handleNodeClick = useCallback((node, nodeData, { additive = false } = {}) => {
+        emitEvent('onNodeClick', node, nodeData);
+
+        if (activeInteractionMode === 'none') return;
+
+        if (activeInteractionMode !== 'path') {
+            if (resolvedNodeDetails.mode !== 'none') {
+                setDetailsNode(node);
+            }
+
+            const isSelected = selection.nodes.includes(node);
+            if (activeInteractionMode === 'select' && additive) {
+                // Ctrl/⌘-click toggles the node in the selection
+                changeSelection(
+                    isSelected ? selection.nodes.filter(id => id !== node) : [...selection.nodes, node],
+                    selection.edges
+                );
+            } else if (activeInteractionMode === 'neighborhood' && isSelected && selection.nodes.length === 1) {
+                // Clicking the highlighted node again clears the highlight
+                changeSelection([], []);
+            } else if (!isSelected || selection.nodes.length > 1 || selection.edges.length > 0) {
+                changeSelection([node], []);
+            }
+            return;
+        }
+
         if (!pathStart) {
             // First click - set path start
             console.log('Path start:', node);
             setPathStart(node);
             setPathEnd(null);
-            setSelectedNode(null);
         } else if (!pathEnd && node !== pathStart) {
             // Second click - set path end (calculate path)
             console.log('Path end:', node);
             setPathEnd(node);
-            setSelectedNode(null);
         } else {
             // Third click or click on same node - reset
             console.log('Clearing path');
             setPathStart(null);
             setPathEnd(null);
-            setSelectedNode(null);
         }
-    }, [pathStart, pathEnd]);
+    }, [pathStart, pathEnd, emitEvent, activeInteractionMode, resolvedNodeDetails.mode, selection, changeSelection]);
+
+    // Box/lasso selection (Ctrl/⌘ adds to the current selection)
+    const handleMultiSelect = useCallback((nodes, { additive = false } = {}) => {
+        if (additive) {
+            changeSelection([...new Set([...selection.nodes, ...nodes])], selection.edges);
+        } else {
+            changeSelection(nodes, []);
+        }
+    }, [selection, changeSelection]);
+
+    // Edge clicks select the edge in the "select" mode (Ctrl/⌘-click toggles it)
+    const handleEdgeClick = useCallback((edge, { additive = false } = {}) => {
+        if (activeInteractionMode !== 'select') return;
+
+        if (additive) {
+            const isSelected = selection.edges.includes(edge);
+            changeSelection(
+                selection.nodes,
+                isSelected ? selection.edges.filter(id => id !== edge) : [...selection.edges, edge]
+            );
+        } else {
+            changeSelection([], [edge]);
+        }
+    }, [activeInteractionMode, selection, changeSelection]);
+
+    // A path requested from Python is shown in any mode until cleared
+    const showPath = activeInteractionMode === 'path' || Boolean(pathStart && pathEnd);
+
+    // The live graph is built from graph_data.options (type, multi, allowSelfLoops);
+    // changing them replaces it and the data is loaded into the new graph
+    const graphOptionsKey = JSON.stringify(resolveGraphOptions(graphData?.options));
+    const graph = useMemo(() => new Graph(JSON.parse(graphOptionsKey)), [graphOptionsKey]);
 
     const sigmaSettings = {
         labelSize: 12,
@@ -1843,41 +6199,153 @@ export default function SigmaGraphViewer({
     };
 
     return (
-        <div ref={containerRef} style={style}>
+        <div
+            ref={containerRef}
+            style={{
+                '--sigma-background-color': palette.background,
+                '--sigma-controls-background-color': palette.controlsBackground,
+                '--sigma-controls-color': palette.controlsColor,
+                background: palette.background,
+                ...style,
+            }}
+        >
             {/* Inject custom styles to remove control borders */}
             <style dangerouslySetInnerHTML={{ __html: customStyles }} />
 
             {containerReady && (
                 <SigmaContainer
-                    key={dataKey}
+                    graph={graph}
                     settings={sigmaSettings}
                     style={{ width: '100%', height: '100%' }}
                 >
                     <SigmaCleanupHandler />
-                    <GraphDataLoader data={graphData} layoutType={layoutType} />
-                    <SearchNodeReducer searchQuery={searchQuery} showNodeLabels={showNodeLabels} />
-                    <ForceAtlas2Controller layoutRunning={layoutRunning} />
+                    <ThemeController theme={palette} />
+                    <GraphDataLoader data={graphData} dataVersion={dataVersion} layoutType={layoutType} layoutSettings={stableLayoutSettings}
+                        nodePositions={nodePositions}
+                        antiOverlap={antiOverlap}
+                        focusNode={activeFocusNode}
+                        layoutSeed={layoutSeed}
+                        transitionDuration={transitionDuration}
+                        emitEvent={emitEvent}
+                    />
+                    {communityOptions && (
+                        <CommunityDetector
+                            options={communityOptions}
+                            colorNodes={communityOptions.colorNodes && !metricsConfig?.colorBy}
+                            seed={layoutSeed}
+                            emitEvent={emitEvent}
+                        />
+                    )}
+                    {metricsConfig && (
+                        <CentralityHandler config={metricsConfig} emitEvent={emitEvent} />
+                    )}
+                    {showClusterBackgrounds && (
+                        <ClusterBackgrounds
+                            options={resolvedClusterOptions}
+                            theme={palette}
+                            onSelect={activeInteractionMode === 'select' ? handleMultiSelect : null}
+                        />
+                    )}
+                    <SearchNodeReducer searchQuery={searchQuery} showNodeLabels={showNodeLabels} theme={palette} />
+                    <ForceAtlas2Controller layoutRunning={layoutRunning} layoutSettings={stableLayoutSettings} emitEvent={emitEvent} />
                     <NodeDragHandler
                         dragNeighbors={dragNeighbors}
-                        selectedNode={selectedNode}
+                        selectedNodes={activeInteractionMode === 'select' ? selection.nodes : []}
                         onNodeClick={handleNodeClick}
+                        emitEvent={emitEvent}
+                    />
+                    {showPath && (
+                        <ShortestPathHighlighter
+                            pathStart={pathStart}
+                            pathEnd={pathEnd}
+                            options={resolvedPathOptions}
+                            onPathStartChange={setPathStart}
+                            onPathEndChange={setPathEnd}
+                            theme={palette}
+                            emitEvent={emitEvent}
+                        />
+                    )}
+                    {activeInteractionMode === 'select' && (
+                        <>
+                            <MultiSelectHandler theme={palette} onSelect={handleMultiSelect} />
+                            <SelectionActions
+                                selectedNodes={selection.nodes}
+                                theme={palette}
+                                onSelectionChange={changeSelection}
+                                emitEvent={emitEvent}
+                            />
+                        </>
+                    )}
+                    {!showPath && (
+                        <SelectionHighlighter
+                            selectedNodes={selection.nodes}
+                            selectedEdges={selection.edges}
+                            onClear={activeInteractionMode === 'none' ? null : clearSelection}
+                            theme={palette}
+                        />
+                    )}
+                    <NodePinHandler emitEvent={emitEvent} />
+                    <RadialFocusHandler layoutType={layoutType} onFocusChange={setActiveFocusNode} />
+                    <NodeHoverHandler
+                        theme={palette}
+                        tooltip={resolvedNodeTooltip}
+                        metrics={metricsConfig ? metricsConfig.metrics : []}
+                        emitEvent={emitEvent}
                     />
-                    <ShortestPathHighlighter
-                        pathStart={pathStart}
-                        pathEnd={pathEnd}
-                        onPathStartChange={setPathStart}
-                        onPathEndChange={setPathEnd}
+                    <EdgeHoverHandler theme={palette} tooltip={resolvedEdgeTooltip} emitEvent={emitEvent} />
+                    <EdgeClickHandler
+                        theme={palette}
+                        details={resolvedEdgeDetails}
+                        onEdgeClick={handleEdgeClick}
+                        emitEvent={emitEvent}
+                    />
+                    <NodeDetailsHandler
+                        node={detailsNode}
+                        details={resolvedNodeDetails}
+                        theme={palette}
+                        onSelectNode={setDetailsNode}
+                        onClose={closeNodeDetails}
                     />
-                    <NodeHoverHandler />
-                    <EdgeHoverHandler />
-                    <EdgeClickHandler />
                     <ControlsContainer position="top-right">
                         <ZoomControl />
                         <FullScreenControl />
-                        <RefreshLayoutControl layoutType={layoutType} />
+                        <RefreshLayoutControl
+                            layoutType={layoutType}
+                            layoutSettings={stableLayoutSettings}
+                            antiOverlap={antiOverlap}
+                            focusNode={activeFocusNode}
+                            layoutSeed={layoutSeed}
+                            transitionDuration={transitionDuration}
+                            emitEvent={emitEvent}
+                        />
+                        <UnpinAllControl emitEvent={emitEvent} />
+                        <InteractionModeControl mode={activeInteractionMode} onChange={handleInteractionModeChange} />
                     </ControlsContainer>
                 </SigmaContainer>
             )}
         </div>
     );
 }
+
+// Pure helpers, exported for the unit tests in tests/
+export {
+    concaveHull,
+    convexHull,
+    detectCommunities,
+    findKShortestPaths,
+    findPaths,
+    findShortestPath,
+    hashGraphData,
+    hierarchicalLayout,
+    interpolateColor,
+    normalizeGraphData,
+    offsetPolygon,
+    resolveClusterOptions,
+    resolveCommunityOptions,
+    resolveGraphOptions,
+    resolveLayoutSettings,
+    resolveMetricsConfig,
+    resolveOptions,
+    resolvePathOptions,
+    syncGraph,
+};
@@ -5,7 +5,7 @@ Wrapper for SigmaGraphViewer.jsx component.
 """
 
 import reflex as rx
-from typing import Dict, Optional, Any
+from typing import Dict, List, Optional, Any, Union
 import shutil
 from pathlib import Path
 import os
@@ -48,7 +48,9 @@ class SigmaGraphViewer(rx.Component):
     is_default = True
 
     # Props
-    graph_data: rx.Var[Dict[str, Any]] = {}  # Graphology JSON format or generic node/edge lists
+    graph_data: rx.Var[Dict[str, Any]] = {}  # Graphology JSON format or generic node/edge lists; changing its "options" rebuilds the graph from scratch
+    data_version: rx.Var[Union[str, int]] = ""  # Optional explicit version; bump it when graph_data changes to skip content hashing
+    node_positions: rx.Var[Dict[str, Dict[str, float]]] = {}  # Saved {id: {x, y}} from on_positions_change; restored nodes skip layout
     settings: rx.Var[Dict[str, Any]] = {}  # Sigma settings
     
     # Display options
@@ -57,15 +59,38 @@ class SigmaGraphViewer(rx.Component):
     
     # Interaction & Layout
     search_query: rx.Var[str] = ""  # Search query for highlighting nodes
-    layout_type: rx.Var[str] = "forceAtlas2"  # Layout algorithm: forceAtlas2, circular, random, etc.
+    layout_type: rx.Var[str] = "forceAtlas2"  # Layout algorithm: forceAtlas2, noverlap, circular, random, hierarchical, radial
+    focus_node: rx.Var[str] = ""  # Centre node of the radial layout; empty = highest-degree node
+    layout_seed: rx.Var[Union[str, int]] = ""  # Seed for reproducible placement and layouts; empty = random each load
+    transition_duration: rx.Var[int] = 600  # Animated position transition length in ms (0 = no animation)
+    anti_overlap: rx.Var[bool]  # Run a Noverlap pass after any layout (True) or never (False); unset = only after forceAtlas2
+    layout_settings: rx.Var[Dict[str, Dict[str, Any]]] = {}  # Per-layout overrides, e.g. {"forceAtlas2": {"gravity": 1}, "noverlap": {"margin": 50}}
     layout_running: rx.Var[bool] = False  # Whether layout is running
     drag_neighbors: rx.Var[bool] = False  # Whether to drag connected neighbors together
+    interaction_mode: rx.Var[str] = "select"  # What a node click does: "select" | "neighborhood" | "path" | "none"
+    selected_nodes: rx.Var[List[str]] = []  # Selected node ids (highlighted with their neighbours)
+    selected_edges: rx.Var[List[str]] = []  # Selected edge ids
+    path_source: rx.Var[str] = ""  # Start node of a shortest path requested from Python
+    path_target: rx.Var[str] = ""  # End node of a shortest path requested from Python
+    path_options: rx.Var[Dict[str, Any]] = {}  # Shortest path: {"algorithm": "unweighted" | "dijkstra" | "inverse", "weight_attribute", "edge_types", "exclude_nodes", "search": "shortest" | "k_shortest" | "all_simple", "k", "max_hops", "max_paths"}
+    show_cluster_backgrounds: rx.Var[bool] = False  # Draw a hull behind each group of nodes sharing cluster_options["attribute"]
+    cluster_options: rx.Var[Dict[str, Any]] = {}  # {"attribute": "community", "shape": "convex" | "concave", "concavity", "padding", "opacity", "min_size", "labels"}
+    metrics: rx.Var[Union[bool, List[str]]] = False  # Centrality metrics to compute: True or a list of "degree", "pagerank", "betweenness", "closeness"
+    size_by: rx.Var[str] = ""  # Metric or numeric node attribute that node sizes are scaled by
+    color_by: rx.Var[str] = ""  # Metric or numeric node attribute that node colors are scaled by
+    size_range: rx.Var[List[float]]  # [min, max] node size for size_by; unset = [5, 30]
+    color_range: rx.Var[List[str]]  # [low, high] hex colors for color_by; unset = ["#fde68a", "#b91c1c"]
+    community_detection: rx.Var[Union[bool, Dict[str, Any]]] = False  # Louvain communities: True or {"resolution", "weight_attribute", "attribute", "color_nodes", "palette"}
     
     # Styling
     edge_type: rx.Var[str] = "arrow"  # Edge rendering type: "arrow", "line", "curve", "triangle"
     style: rx.Var[Dict[str, str]] = {"width": "100%", "height": "600px"}
-    theme: rx.Var[str] = "light"  # "light" | "dark" | "custom"
-    custom_theme: rx.Var[Dict[str, str]] = {}  # For custom color schemes
+    theme: rx.Var[str] = "light"  # "light" | "dark" | "auto" (follows prefers-color-scheme) | "custom"
+    node_tooltip: rx.Var[Union[bool, Dict[str, Any]]]  # Tooltip fields/formatting; False disables; unset = built-in entity tooltip
+    edge_tooltip: rx.Var[Union[bool, Dict[str, Any]]]  # Same as node_tooltip for edges, plus show_endpoints
+    edge_details: rx.Var[Union[bool, Dict[str, Any]]]  # Edge click: {"mode": "modal" | "drawer" | "python" | "none", fields...}; False = "none"
+    node_details: rx.Var[Union[bool, Dict[str, Any]]]  # Node click panel: {"mode": "drawer" | "modal" | "none", fields...}; False = "none"
+    custom_theme: rx.Var[Dict[str, str]] = {}  # Palette overrides for theme="custom", e.g. {"base": "dark", "background": "#000"}
 
     # Event Handlers
     on_node_click: rx.EventHandler[lambda node_id, node_data: [node_id, node_data]]
@@ -73,6 +98,14 @@ class SigmaGraphViewer(rx.Component):
     on_edge_click: rx.EventHandler[lambda edge_id, edge_data: [edge_id, edge_data]]
     on_edge_hover: rx.EventHandler[lambda edge_id, edge_data: [edge_id, edge_data]]
     on_layout_complete: rx.EventHandler[lambda: []]
+    on_node_pin: rx.EventHandler[lambda node_id, node_data: [node_id, node_data]]
+    on_node_unpin: rx.EventHandler[lambda node_id, node_data: [node_id, node_data]]
+    on_positions_change: rx.EventHandler[lambda positions: [positions]]
+    on_interaction_mode_change: rx.EventHandler[lambda mode: [mode]]
+    on_selection_change: rx.EventHandler[lambda node_ids, edge_ids: [node_ids, edge_ids]]
+    on_path_found: rx.EventHandler[lambda result: [result]]
+    on_communities_detected: rx.EventHandler[lambda result: [result]]
+    on_metrics_computed: rx.EventHandler[lambda result: [result]]
 
     @classmethod
     def create(cls, *children, **props):
@@ -36,12 +36,15 @@ class SigmaGraphViewer(rx.Component):
         custom_attrs: dict[str, Var | Any] | None = None,
         on_blur: Optional[EventType[()]] = None,
         on_click: Optional[EventType[()] | EventType[PointerEventInfo]] = None,
+        on_communities_detected: Optional[EventType[Any]] = None,
         on_context_menu: Optional[EventType[()] | EventType[PointerEventInfo]] = None,
         on_double_click: Optional[EventType[()] | EventType[PointerEventInfo]] = None,
         on_edge_click: Optional[EventType[Any]] = None,
         on_edge_hover: Optional[EventType[Any]] = None,
         on_focus: Optional[EventType[()]] = None,
+        on_interaction_mode_change: Optional[EventType[Any]] = None,
         on_layout_complete: Optional[EventType[Any]] = None,
+        on_metrics_computed: Optional[EventType[Any]] = None,
         on_mount: Optional[EventType[()]] = None,
         on_mouse_down: Optional[EventType[()]] = None,
         on_mouse_enter: Optional[EventType[()]] = None,
@@ -52,8 +55,13 @@ class SigmaGraphViewer(rx.Component):
         on_mouse_up: Optional[EventType[()]] = None,
         on_node_click: Optional[EventType[Any]] = None,
         on_node_hover: Optional[EventType[Any]] = None,
+        on_node_pin: Optional[EventType[Any]] = None,
+        on_node_unpin: Optional[EventType[Any]] = None,
+        on_path_found: Optional[EventType[Any]] = None,
+        on_positions_change: Optional[EventType[Any]] = None,
         on_scroll: Optional[EventType[()]] = None,
         on_scroll_end: Optional[EventType[()]] = None,
+        on_selection_change: Optional[EventType[Any]] = None,
         on_unmount: Optional[EventType[()]] = None,
         **props,
     ) -> "SigmaGraphViewer":
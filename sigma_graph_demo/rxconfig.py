@@ -10,6 +10,8 @@ config = rx.Config(
         "graphology-layout-forceatlas2@0.10.1",
         "graphology-layout-noverlap@0.4.2",
         "graphology-shortest-path@2.0.2",
+        "graphology-communities-louvain@2.0.2",
+        "graphology-metrics@2.4.2",
     ],
     plugins=[
         rx.plugins.SitemapPlugin(),
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import Graph from 'graphology';
+import { detectCommunities, resolveCommunityOptions } from '../reflex_sigma_graph/SigmaGraphViewer.jsx';
+
+/**
+ * Two cliques (of sizes first and second) joined by a single bridge edge
+ */
+function twoCliques(first, second) {
+    const graph = new Graph({ type: 'undirected' });
+    const clique = (prefix, size) => {
+        for (let i = 0; i < size; i++) graph.addNode(`${prefix}${i}`);
+        for (let i = 0; i < size; i++) {
+            for (let j = i + 1; j < size; j++) graph.addEdge(`${prefix}${i}`, `${prefix}${j}`);
+        }
+    };
+    clique('b', second);
+    clique('a', first);
+    graph.addEdge('a0', 'b0');
+    return graph;
+}
+
+describe('detectCommunities', () => {
+    const options = resolveCommunityOptions(true);
+
+    it('finds densely connected groups, numbered from the largest', () => {
+        const { assignment, communities, modularity } = detectCommunities(twoCliques(4, 6), options, 1);
+
+        expect(communities.map(nodes => nodes.length)).toEqual([6, 4]);
+        expect(assignment.get('b3')).toBe(0);
+        expect(assignment.get('a2')).toBe(1);
+        expect(modularity).toBeGreaterThan(0.3);
+    });
+
+    it('gives the same ids for the same seed', () => {
+        const first = detectCommunities(twoCliques(5, 5), options, 'seed');
+        const second = detectCommunities(twoCliques(5, 5), options, 'seed');
+
+        expect([...second.assignment]).toEqual([...first.assignment]);
+    });
+
+    it('breaks size ties by the smallest node id', () => {
+        const { communities } = detectCommunities(twoCliques(5, 5), options, null);
+
+        expect(communities[0]).toContain('a0');
+        expect(communities[1]).toContain('b0');
+    });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { hashGraphData } from '../reflex_sigma_graph/SigmaGraphViewer.jsx';
+
+const data = {
+    nodes: [{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }],
+    edges: [{ source: 'a', target: 'b' }],
+};
+
+describe('hashGraphData', () => {
+    it('is stable for identical content in a different object', () => {
+        expect(hashGraphData(structuredClone(data))).toBe(hashGraphData(data));
+    });
+
+    it('changes on attribute-only updates', () => {
+        const relabeled = { ...data, nodes: [{ id: 'a', label: 'A2' }, data.nodes[1]] };
+        expect(hashGraphData(relabeled)).not.toBe(hashGraphData(data));
+    });
+
+    it('changes with edges and graph options', () => {
+        expect(hashGraphData({ ...data, edges: [] })).not.toBe(hashGraphData(data));
+        expect(hashGraphData({ ...data, options: { type: 'undirected' } })).not.toBe(hashGraphData(data));
+    });
+
+    it('treats missing or empty data as one empty key', () => {
+        expect(hashGraphData(null)).toBe('empty');
+        expect(hashGraphData({ nodes: [], edges: [{ source: 'a', target: 'b' }] })).toBe('empty');
+    });
+
+    it('prefixes the hash with the length of the serialized data', () => {
+        const text = JSON.stringify({ options: data.options, nodes: data.nodes, edges: data.edges });
+        expect(hashGraphData(data)).toMatch(new RegExp(`^${text.length}-[0-9a-z]+$`));
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import Graph from 'graphology';
+import { hierarchicalLayout } from '../reflex_sigma_graph/SigmaGraphViewer.jsx';
+
+const SETTINGS = { direction: 'TB', layerSpacing: 100, nodeSpacing: 50, crossingIterations: 12 };
+
+/**
+ * Directed graph from [source, target] pairs
+ */
+function graphOf(edges, nodes = []) {
+    const graph = new Graph();
+    nodes.forEach(node => graph.mergeNode(node));
+    edges.forEach(([source, target]) => graph.mergeEdge(source, target));
+    return graph;
+}
+
+describe('hierarchicalLayout', () => {
+    it('puts each node one layer below its deepest predecessor', () => {
+        const graph = graphOf([['a', 'b'], ['b', 'c'], ['a', 'c']]);
+        hierarchicalLayout(graph, SETTINGS);
+
+        expect(graph.getNodeAttribute('a', 'y')).toBeCloseTo(0);
+        expect(graph.getNodeAttribute('b', 'y')).toBeCloseTo(-100);
+        expect(graph.getNodeAttribute('c', 'y')).toBeCloseTo(-200);
+    });
+
+    it('centers each layer with nodeSpacing between nodes', () => {
+        const graph = graphOf([['root', 'x'], ['root', 'y'], ['root', 'z']]);
+        hierarchicalLayout(graph, SETTINGS);
+
+        const xs = ['x', 'y', 'z'].map(node => graph.getNodeAttribute(node, 'x')).sort((a, b) => a - b);
+        expect(xs).toEqual([-50, 0, 50]);
+        expect(graph.getNodeAttribute('root', 'x')).toBe(0);
+    });
+
+    it('orients layers along the chosen direction', () => {
+        const directions = { TB: [0, -100], BT: [0, 100], LR: [100, 0], RL: [-100, 0] };
+
+        Object.entries(directions).forEach(([direction, [x, y]]) => {
+            const graph = graphOf([['a', 'b']]);
+            hierarchicalLayout(graph, { ...SETTINGS, direction });
+            expect(graph.getNodeAttribute('b', 'x')).toBeCloseTo(x);
+            expect(graph.getNodeAttribute('b', 'y')).toBeCloseTo(y);
+        });
+    });
+
+    it('breaks cycles and places every node', () => {
+        const graph = graphOf([['a', 'b'], ['b', 'c'], ['c', 'a'], ['c', 'c']]);
+        hierarchicalLayout(graph, SETTINGS);
+
+        const ys = graph.mapNodes((node, attrs) => attrs.y);
+        expect(new Set(ys).size).toBe(3);
+        ys.forEach(y => expect(Number.isFinite(y)).toBe(true));
+    });
+
+    it('reorders layers to remove avoidable crossings', () => {
+        // Node order alone would draw a -> d across b -> c
+        const graph = graphOf([['a', 'd'], ['b', 'c']], ['a', 'b', 'c', 'd']);
+        const crossings = hierarchicalLayout(graph, SETTINGS);
+
+        expect(crossings).toBe(0);
+        expect(Math.sign(graph.getNodeAttribute('a', 'x') - graph.getNodeAttribute('b', 'x')))
+            .toBe(Math.sign(graph.getNodeAttribute('d', 'x') - graph.getNodeAttribute('c', 'x')));
+    });
+
+    it('reports the crossings that cannot be avoided', () => {
+        // K(3,3) is not planar: any two-layer drawing has at least 9 crossings
+        const edges = [];
+        ['a', 'b', 'c'].forEach(source => ['x', 'y', 'z'].forEach(target => edges.push([source, target])));
+
+        expect(hierarchicalLayout(graphOf(edges), SETTINGS)).toBe(9);
+    });
+
+    it('splits long edges with virtual nodes that are not added to the graph', () => {
+        const graph = graphOf([['a', 'b'], ['b', 'c'], ['a', 'c']]);
+        hierarchicalLayout(graph, SETTINGS);
+
+        expect(graph.order).toBe(3);
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { concaveHull, convexHull, offsetPolygon } from '../reflex_sigma_graph/SigmaGraphViewer.jsx';
+
+const point = (x, y) => ({ x, y });
+const coords = polygon => polygon.map(({ x, y }) => [x, y]);
+
+/**
+ * Twice the signed area of a polygon (positive when counter-clockwise)
+ */
+const signedArea = polygon => polygon.reduce((total, p, i) => {
+    const next = polygon[(i + 1) % polygon.length];
+    return total + p.x * next.y - next.x * p.y;
+}, 0);
+
+// A "U" on a grid: two columns per arm, with the gap between the arms left empty
+const uShape = () => {
+    const points = [];
+    for (let x = 0; x <= 10; x += 2) {
+        for (let y = 0; y <= 10; y += 2) {
+            if ((x === 4 || x === 6) && y >= 4) continue;
+            points.push(point(x, y));
+        }
+    }
+    return points;
+};
+
+/**
+ * Whether p is inside the polygon or on one of its edges
+ */
+const isInsideOrOn = (p, polygon) => {
+    let inside = false;
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        const cross = (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+        const within = Math.min(a.x, b.x) <= p.x && p.x <= Math.max(a.x, b.x) && Math.min(a.y, b.y) <= p.y && p.y <= Math.max(a.y, b.y);
+        if (cross === 0 && within) return true;
+        if ((a.y > p.y) !== (b.y > p.y) && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+};
+
+describe('convexHull', () => {
+    it('keeps the corners and drops inner and collinear points', () => {
+        const points = [point(0, 0), point(2, 0), point(4, 0), point(4, 4), point(0, 4), point(2, 2), point(1, 3)];
+
+        expect(coords(convexHull(points))).toEqual([[0, 0], [4, 0], [4, 4], [0, 4]]);
+    });
+
+    it('returns the vertices counter-clockwise, with their original objects', () => {
+        const points = [point(3, 1), point(0, 0), point(1, 3)];
+        const hull = convexHull(points);
+
+        expect(signedArea(hull)).toBeGreaterThan(0);
+        hull.forEach(vertex => expect(points).toContain(vertex));
+    });
+
+    it('returns fewer than three points unchanged', () => {
+        expect(convexHull([point(1, 1), point(2, 2)])).toHaveLength(2);
+    });
+});
+
+describe('concaveHull', () => {
+    it('digs into the empty side of the point set', () => {
+        const points = uShape();
+        const concave = concaveHull(points, 2);
+
+        expect(Math.abs(signedArea(concave))).toBeLessThan(Math.abs(signedArea(convexHull(points))));
+        expect(concave).toContainEqual(point(8, 8));
+        expect(concave).toContainEqual(point(2, 8));
+    });
+
+    it('keeps the convex hull with an infinite concavity', () => {
+        const points = uShape();
+
+        expect(coords(concaveHull(points, Infinity))).toEqual(coords(convexHull(points)));
+    });
+
+    it('never leaves a point outside the hull, collinear points included', () => {
+        const points = uShape();
+
+        [1, 2, 3].forEach((concavity) => {
+            const hull = concaveHull(points, concavity);
+            points.forEach(p => expect(isInsideOrOn(p, hull)).toBe(true));
+        });
+    });
+});
+
+describe('offsetPolygon', () => {
+    const square = [point(0, 0), point(2, 0), point(2, 2), point(0, 2)];
+
+    it('moves every vertex outwards along its bisector by its own offset', () => {
+        const offset = offsetPolygon(square.map(p => ({ ...p, offset: Math.SQRT2 })));
+
+        offset.forEach(({ x, y }, i) => {
+            expect(x).toBeCloseTo(square[i].x === 0 ? -1 : 3);
+            expect(y).toBeCloseTo(square[i].y === 0 ? -1 : 3);
+        });
+    });
+
+    it('grows the polygon whatever its winding', () => {
+        const clockwise = [...square].reverse().map(p => ({ ...p, offset: 1 }));
+
+        expect(Math.abs(signedArea(offsetPolygon(clockwise)))).toBeGreaterThan(Math.abs(signedArea(clockwise)));
+    });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, vi } from 'vitest';
+import Graph from 'graphology';
+import { findKShortestPaths, findPaths, findShortestPath, resolvePathOptions } from '../reflex_sigma_graph/SigmaGraphViewer.jsx';
+
+/**
+ * Graph from [key, source, target, attributes] edges
+ */
+function graphOf(edges, type = 'directed') {
+    const graph = new Graph({ type, multi: true });
+    edges.forEach(([key, source, target, attributes = {}]) => {
+        graph.mergeNode(source);
+        graph.mergeNode(target);
+        graph.addEdgeWithKey(key, source, target, attributes);
+    });
+    return graph;
+}
+
+// a -> b -> d is short but weak; a -> c -> d is strong
+const diamond = () => graphOf([
+    ['ab', 'a', 'b', { weight: 1, edgeType: 'knows' }],
+    ['bd', 'b', 'd', { weight: 1, edgeType: 'knows' }],
+    ['ac', 'a', 'c', { weight: 5, edgeType: 'works_with' }],
+    ['cx', 'c', 'x', { weight: 5, edgeType: 'works_with' }],
+    ['xd', 'x', 'd', { weight: 5, edgeType: 'works_with' }],
+]);
+
+describe('findShortestPath', () => {
+    it('finds the fewest hops with the unweighted algorithm', () => {
+        const path = findShortestPath(diamond(), 'a', 'd', resolvePathOptions({}));
+
+        expect(path).toEqual({ nodes: ['a', 'b', 'd'], edges: ['ab', 'bd'], hops: 2, cost: 2 });
+    });
+
+    it('minimizes the summed weight with dijkstra', () => {
+        const graph = diamond();
+        graph.setEdgeAttribute('bd', 'weight', 20);
+
+        const path = findShortestPath(graph, 'a', 'd', resolvePathOptions({ algorithm: 'dijkstra' }));
+
+        expect(path.nodes).toEqual(['a', 'c', 'x', 'd']);
+        expect(path.cost).toBe(15);
+    });
+
+    it('treats strong links as short with inverse', () => {
+        const path = findShortestPath(diamond(), 'a', 'd', resolvePathOptions({ algorithm: 'inverse' }));
+
+        expect(path.nodes).toEqual(['a', 'c', 'x', 'd']);
+        expect(path.cost).toBeCloseTo(0.6);
+    });
+
+    it('only follows the allowed edge types and avoids excluded nodes', () => {
+        const graph = diamond();
+
+        expect(findShortestPath(graph, 'a', 'd', resolvePathOptions({ edge_types: ['works_with'] })).edges)
+            .toEqual(['ac', 'cx', 'xd']);
+        expect(findShortestPath(graph, 'a', 'd', resolvePathOptions({ exclude_nodes: ['b'] })).edges)
+            .toEqual(['ac', 'cx', 'xd']);
+        expect(findShortestPath(graph, 'a', 'd', resolvePathOptions({ exclude_nodes: ['b', 'x'] }))).toBeNull();
+    });
+
+    it('follows edge direction, and undirected edges both ways', () => {
+        const edges = [['ab', 'a', 'b'], ['bc', 'b', 'c']];
+
+        expect(findShortestPath(graphOf(edges), 'c', 'a', resolvePathOptions({}))).toBeNull();
+        expect(findShortestPath(graphOf(edges, 'undirected'), 'c', 'a', resolvePathOptions({})).nodes)
+            .toEqual(['c', 'b', 'a']);
+    });
+
+    it('picks the cheapest of parallel edges', () => {
+        const graph = graphOf([['heavy', 'a', 'b', { weight: 9 }], ['light', 'a', 'b', { weight: 2 }]]);
+
+        expect(findShortestPath(graph, 'a', 'b', resolvePathOptions({ algorithm: 'dijkstra' })).edges).toEqual(['light']);
+    });
+
+    it('returns null for unknown nodes', () => {
+        expect(findShortestPath(diamond(), 'a', 'nope', resolvePathOptions({}))).toBeNull();
+    });
+});
+
+// Every route from s to t in a small grid: s -> a -> t, s -> b -> t, s -> a -> b -> t
+const grid = () => graphOf([
+    ['sa', 's', 'a', { weight: 1 }],
+    ['at', 'a', 't', { weight: 1 }],
+    ['sb', 's', 'b', { weight: 2 }],
+    ['bt', 'b', 't', { weight: 2 }],
+    ['ab', 'a', 'b', { weight: 1 }],
+]);
+
+const routes = paths => paths.map(path => path.nodes.join(''));
+
+describe('findKShortestPaths', () => {
+    it('returns up to k loopless paths, cheapest first, then with the fewest hops', () => {
+        const paths = findKShortestPaths(grid(), 's', 't', resolvePathOptions({ algorithm: 'dijkstra', k: 3 }));
+
+        expect(routes(paths)).toEqual(['sat', 'sbt', 'sabt']);
+        expect(paths.map(path => path.cost)).toEqual([2, 4, 4]);
+    });
+
+    it('stops when there are fewer than k paths', () => {
+        expect(findKShortestPaths(grid(), 's', 't', resolvePathOptions({ k: 10 }))).toHaveLength(3);
+    });
+
+    it('never repeats a path through parallel routes', () => {
+        const graph = graphOf([['one', 'a', 'b'], ['two', 'a', 'b'], ['bc', 'b', 'c']]);
+        const paths = findKShortestPaths(graph, 'a', 'c', resolvePathOptions({ k: 5 }));
+
+        expect(paths.map(path => path.edges[0]).sort()).toEqual(['one', 'two']);
+    });
+
+    it('returns an empty list without any path', () => {
+        expect(findKShortestPaths(grid(), 't', 's', resolvePathOptions({ k: 3 }))).toEqual([]);
+    });
+});
+
+describe('findPaths', () => {
+    it('runs the search chosen in the options', () => {
+        const graph = grid();
+
+        expect(routes(findPaths(graph, 's', 't', resolvePathOptions({})))).toEqual(['sat']);
+        expect(findPaths(graph, 's', 't', resolvePathOptions({ search: 'k_shortest', k: 2 }))).toHaveLength(2);
+        expect(routes(findPaths(graph, 's', 't', resolvePathOptions({ search: 'all_simple' })))).toEqual(['sat', 'sbt', 'sabt']);
+    });
+
+    it('limits simple paths to max_hops edges', () => {
+        const paths = findPaths(grid(), 's', 't', resolvePathOptions({ search: 'all_simple', max_hops: 2 }));
+
+        expect(routes(paths)).toEqual(['sat', 'sbt']);
+    });
+
+    it('stops at max_paths simple paths with a warning', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const paths = findPaths(grid(), 's', 't', resolvePathOptions({ search: 'all_simple', max_paths: 1 }));
+
+        expect(paths).toHaveLength(1);
+        expect(warn).toHaveBeenCalledOnce();
+        warn.mockRestore();
+    });
+
+    it('applies edge types to simple paths too', () => {
+        const graph = diamond();
+        const paths = findPaths(graph, 'a', 'd', resolvePathOptions({ search: 'all_simple', edge_types: ['knows'] }));
+
+        expect(routes(paths)).toEqual(['abd']);
+    });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import Graph from 'graphology';
+import {
+    interpolateColor,
+    resolveClusterOptions,
+    resolveCommunityOptions,
+    resolveLayoutSettings,
+    resolveMetricsConfig,
+    resolveOptions,
+    resolvePathOptions,
+} from '../reflex_sigma_graph/SigmaGraphViewer.jsx';
+
+let warn;
+beforeEach(() => {
+    warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+afterEach(() => {
+    warn.mockRestore();
+});
+
+/**
+ * Graph with the given number of nodes chained by edges
+ */
+function chainGraph(order) {
+    const graph = new Graph();
+    for (let i = 0; i < order; i++) {
+        graph.addNode(String(i));
+        if (i > 0) graph.addEdge(String(i - 1), String(i));
+    }
+    return graph;
+}
+
+describe('resolveOptions', () => {
+    const defaults = { maxHops: 4, label: 'x' };
+    const validators = {
+        maxHops: { description: 'a positive integer', isValid: value => Number.isInteger(value) && value > 0 },
+        label: { description: 'a string', isValid: value => typeof value === 'string' },
+    };
+
+    it('applies valid overrides given in snake_case or camelCase', () => {
+        expect(resolveOptions(defaults, validators, { max_hops: 6 }, 'opts')).toEqual({ maxHops: 6, label: 'x' });
+        expect(resolveOptions(defaults, validators, { maxHops: 2 }, 'opts')).toEqual({ maxHops: 2, label: 'x' });
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('ignores unknown keys and invalid values with a warning', () => {
+        const resolved = resolveOptions(defaults, validators, { colour: 'red', max_hops: 0 }, 'opts');
+
+        expect(resolved).toEqual(defaults);
+        expect(warn).toHaveBeenCalledWith('opts: unknown option "colour"');
+        expect(warn).toHaveBeenCalledWith('opts.max_hops should be a positive integer, got:', 0);
+    });
+
+    it('returns a copy of the defaults without a config', () => {
+        const resolved = resolveOptions(defaults, validators, null, 'opts');
+
+        expect(resolved).toEqual(defaults);
+        expect(resolved).not.toBe(defaults);
+    });
+});
+
+describe('resolveLayoutSettings', () => {
+    it('scales ForceAtlas2 repulsion and Noverlap margins with the graph', () => {
+        const small = resolveLayoutSettings(chainGraph(10), {});
+        const large = resolveLayoutSettings(chainGraph(1500), {});
+
+        expect(small.forceAtlas2.scalingRatio).toBe(30);  // Sparse chain
+        expect(small.forceAtlas2.barnesHutOptimize).toBe(false);
+        expect(large.forceAtlas2.barnesHutOptimize).toBe(true);
+        expect(small.noverlap.margin).toBe(200);
+        expect(large.noverlap.margin).toBe(20);
+        expect(large.circular.radius).toBe(15000);
+    });
+
+    it('merges valid overrides of each layout type over the defaults', () => {
+        const resolved = resolveLayoutSettings(chainGraph(10), {
+            forceAtlas2: { gravity: 1, linLogMode: true },
+            hierarchical: { direction: 'LR' },
+        });
+
+        expect(resolved.forceAtlas2).toMatchObject({ gravity: 1, linLogMode: true, iterations: 100 });
+        expect(resolved.hierarchical.direction).toBe('LR');
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('ignores unknown layout types, unknown settings and invalid values', () => {
+        const graph = chainGraph(10);
+        const resolved = resolveLayoutSettings(graph, {
+            spiral: { turns: 3 },
+            circular: 5,
+            forceAtlas2: { gravity: -1, spin: true },
+            hierarchical: { direction: 'UP' },
+        });
+
+        expect(resolved).toEqual(resolveLayoutSettings(graph, {}));
+        expect(warn).toHaveBeenCalledTimes(5);
+    });
+});
+
+describe('resolvePathOptions', () => {
+    it('defaults to the unweighted shortest path', () => {
+        expect(resolvePathOptions(undefined)).toMatchObject({ algorithm: 'unweighted', weightAttribute: 'weight', edgeTypes: [] });
+    });
+
+    it('validates the algorithm, attribute names and node lists', () => {
+        const resolved = resolvePathOptions({
+            algorithm: 'astar',
+            weight_attribute: '',
+            edge_types: 'knows',
+            exclude_nodes: ['b'],
+        });
+
+        expect(resolved).toMatchObject({ algorithm: 'unweighted', weightAttribute: 'weight', edgeTypes: [], excludeNodes: ['b'] });
+        expect(warn).toHaveBeenCalledTimes(3);
+    });
+
+    it('validates the search and its limits', () => {
+        const resolved = resolvePathOptions({ search: 'k_shortest', k: 0, max_hops: 2.5, max_paths: 10 });
+
+        expect(resolved).toMatchObject({ search: 'k_shortest', k: 3, maxHops: 4, maxPaths: 10 });
+        expect(warn).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('resolveCommunityOptions', () => {
+    it('is off without a config and uses the defaults for true', () => {
+        expect(resolveCommunityOptions(false)).toBeNull();
+        expect(resolveCommunityOptions(undefined)).toBeNull();
+        expect(resolveCommunityOptions(true)).toMatchObject({ resolution: 1, attribute: 'community', colorNodes: true });
+    });
+
+    it('accepts None as an unweighted weight_attribute and validates the palette', () => {
+        const resolved = resolveCommunityOptions({ weight_attribute: null, palette: [], resolution: 0 });
+
+        expect(resolved.weightAttribute).toBeNull();
+        expect(resolved.palette).toHaveLength(12);
+        expect(resolved.resolution).toBe(1);
+        expect(warn).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('resolveClusterOptions', () => {
+    it('groups by the given default attribute unless the config names one', () => {
+        expect(resolveClusterOptions({}, 'louvain').attribute).toBe('louvain');
+        expect(resolveClusterOptions({ attribute: 'team' }, 'louvain').attribute).toBe('team');
+        expect(resolveClusterOptions(undefined).attribute).toBe('community');
+    });
+
+    it('validates the shape, opacity and labels', () => {
+        const resolved = resolveClusterOptions({ shape: 'round', opacity: 2, labels: ['a'], min_size: 3 });
+
+        expect(resolved).toMatchObject({ shape: 'convex', opacity: 0.12, labels: false, minSize: 3 });
+        expect(warn).toHaveBeenCalledTimes(3);
+    });
+});
+
+describe('resolveMetricsConfig', () => {
+    it('is off without metrics or mappings', () => {
+        expect(resolveMetricsConfig({ metrics: false, sizeBy: '', colorBy: '' })).toBeNull();
+    });
+
+    it('computes the metrics a mapping names, in canonical order', () => {
+        const config = resolveMetricsConfig({ metrics: ['closeness'], sizeBy: 'pagerank', colorBy: 'weight' });
+
+        expect(config.metrics).toEqual(['pagerank', 'closeness']);
+        expect(config).toMatchObject({ sizeBy: 'pagerank', colorBy: 'weight', sizeRange: [5, 30] });
+    });
+
+    it('ignores unknown metrics and invalid ranges with a warning', () => {
+        const config = resolveMetricsConfig({
+            metrics: ['degree', 'eigenvector'],
+            sizeRange: [30, 5],
+            colorRange: ['#fff', 'red'],
+        });
+
+        expect(config).toMatchObject({ metrics: ['degree'], sizeRange: [5, 30], colorRange: ['#fde68a', '#b91c1c'] });
+        expect(warn).toHaveBeenCalledTimes(3);
+    });
+});
+
+describe('interpolateColor', () => {
+    it('blends two hex colors, short forms included', () => {
+        expect(interpolateColor('#000', '#ffffff', 0)).toBe('#000000');
+        expect(interpolateColor('#000', '#ffffff', 1)).toBe('#ffffff');
+        expect(interpolateColor('#000000', '#ff8000', 0.5)).toBe('#804000');
+    });
+});
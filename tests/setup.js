@@ -0,0 +1,15 @@
+import { vi } from 'vitest';
+
+// Sigma's renderers need WebGL, which Node doesn't have. The tests only exercise the
+// pure helpers of SigmaGraphViewer.jsx, so the rendering modules are replaced by stubs.
+vi.mock('@react-sigma/core', () => ({
+    SigmaContainer: () => null,
+    ControlsContainer: () => null,
+    ZoomControl: () => null,
+    FullScreenControl: () => null,
+    useSigma: () => null,
+    useRegisterEvents: () => () => {},
+    useSetSettings: () => () => {},
+}));
+vi.mock('@sigma/edge-curve', () => ({ default: class {} }));
+vi.mock('sigma/rendering', () => ({ drawDiscNodeHover: () => {} }));
@@ -0,0 +1,177 @@
+import { describe, it, expect, vi } from 'vitest';
+import Graph from 'graphology';
+import { normalizeGraphData, resolveGraphOptions, syncGraph } from '../reflex_sigma_graph/SigmaGraphViewer.jsx';
+
+const EMPTY = normalizeGraphData({});
+
+/**
+ * Sync data into a graph the way GraphDataLoader does, returning the new snapshot
+ */
+function sync(graph, data, previous = EMPTY, options = {}) {
+    const next = normalizeGraphData(data);
+    const stats = syncGraph(graph, next, previous, options);
+    return { next, stats };
+}
+
+describe('normalizeGraphData', () => {
+    it('accepts both the Graphology and the simplified node format', () => {
+        const { nodes } = normalizeGraphData({
+            nodes: [
+                { key: 'a', attributes: { label: 'A' } },
+                { id: 2, label: 'B' },
+            ],
+        });
+
+        expect(nodes.get('a')).toEqual({ label: 'A' });
+        expect(nodes.get('2')).toEqual({ label: 'B' });
+    });
+
+    it('derives stable keys for edges without one, numbering repeats', () => {
+        const { edges } = normalizeGraphData({
+            nodes: [{ id: 'a' }, { id: 'b' }],
+            edges: [
+                { source: 'a', target: 'b', weight: 1 },
+                { source: 'a', target: 'b', weight: 2 },
+                { key: 'own', source: 'b', target: 'a' },
+            ],
+        });
+
+        expect([...edges.keys()]).toEqual(['a->b', 'a->b#1', 'own']);
+        expect(edges.get('a->b#1').attributes).toEqual({ weight: 2 });
+    });
+
+    it('skips nodes without a key and edges without endpoints', () => {
+        const { nodes, edges } = normalizeGraphData({
+            nodes: [null, { label: 'no id' }, { id: 'a' }],
+            edges: [{ source: 'a' }, null],
+        });
+
+        expect([...nodes.keys()]).toEqual(['a']);
+        expect(edges.size).toBe(0);
+    });
+
+    it('reads the graph type from options', () => {
+        expect(normalizeGraphData({ options: { type: 'undirected' } }).undirected).toBe(true);
+        expect(normalizeGraphData({ nodes: [] }).undirected).toBe(false);
+    });
+});
+
+describe('resolveGraphOptions', () => {
+    it('defaults to a directed simple graph allowing self-loops', () => {
+        expect(resolveGraphOptions(undefined)).toEqual({ type: 'directed', multi: false, allowSelfLoops: true });
+    });
+
+    it('falls back to directed on an unknown type', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(resolveGraphOptions({ type: 'hyper', multi: true }).type).toBe('directed');
+        expect(warn).toHaveBeenCalledOnce();
+        warn.mockRestore();
+    });
+});
+
+describe('syncGraph', () => {
+    const data = {
+        nodes: [
+            { id: 'a', label: 'A', x: 0, y: 0 },
+            { id: 'b', label: 'B', x: 10, y: 0 },
+        ],
+        edges: [{ source: 'a', target: 'b' }],
+    };
+
+    it('adds every node and edge on the first sync', () => {
+        const graph = new Graph();
+        const { stats } = sync(graph, data);
+
+        expect(stats).toEqual({ added: 3, removed: 0, updated: 0, restored: 0 });
+        expect(graph.order).toBe(2);
+        expect(graph.hasEdge('a->b')).toBe(true);
+        expect(graph.getNodeAttribute('a', 'size')).toBe(15);
+    });
+
+    it('leaves unchanged nodes alone and keeps live positions on attribute updates', () => {
+        const graph = new Graph();
+        const { next } = sync(graph, data);
+        graph.mergeNodeAttributes('a', { x: 50, y: 60 });  // Dragged by the user
+
+        const { stats } = sync(graph, {
+            ...data,
+            nodes: [{ id: 'a', label: 'A2', x: 0, y: 0 }, data.nodes[1]],
+        }, next);
+
+        expect(stats).toEqual({ added: 0, removed: 0, updated: 1, restored: 0 });
+        expect(graph.getNodeAttributes('a')).toMatchObject({ label: 'A2', x: 50, y: 60 });
+    });
+
+    it('removes nodes, edges and attributes Python stopped sending', () => {
+        const graph = new Graph();
+        const { next } = sync(graph, data);
+
+        const { stats } = sync(graph, { nodes: [{ id: 'a', x: 0, y: 0 }] }, next);
+
+        expect(stats.removed).toBe(2);
+        expect(graph.nodes()).toEqual(['a']);
+        expect(graph.getNodeAttribute('a', 'label')).toBeUndefined();
+    });
+
+    it('collects coordinates Python changed into movedPositions instead of applying them', () => {
+        const graph = new Graph();
+        const { next } = sync(graph, data);
+        const movedPositions = {};
+
+        sync(graph, {
+            ...data,
+            nodes: [data.nodes[0], { id: 'b', label: 'B', x: 10, y: 25 }],
+        }, next, { movedPositions });
+
+        expect(movedPositions).toEqual({ b: { x: 10, y: 25 } });
+        expect(graph.getNodeAttribute('b', 'y')).toBe(0);
+    });
+
+    it('starts new nodes at their saved position and reports them as restored', () => {
+        const graph = new Graph();
+        const restoredNodes = new Set();
+
+        const { stats } = sync(graph, data, EMPTY, {
+            savedPositions: { a: { x: 100, y: 200 }, b: { x: 'bad', y: 0 } },
+            restoredNodes,
+        });
+
+        expect(stats.restored).toBe(1);
+        expect([...restoredNodes]).toEqual(['a']);
+        expect(graph.getNodeAttributes('a')).toMatchObject({ x: 100, y: 200 });
+        expect(graph.getNodeAttributes('b')).toMatchObject({ x: 10, y: 0 });
+    });
+
+    it('places new nodes without coordinates next to their neighbours, reproducibly with a seed', () => {
+        const place = () => {
+            const graph = new Graph();
+            const { next } = sync(graph, data);
+            sync(graph, {
+                nodes: [...data.nodes, { id: 'c' }],
+                edges: [...data.edges, { source: 'b', target: 'c' }],
+            }, next, { seed: 42 });
+            return graph.getNodeAttributes('c');
+        };
+
+        const first = place();
+        expect(Math.hypot(first.x - 10, first.y)).toBeCloseTo(10 / Math.sqrt(2));
+        expect(place()).toEqual(first);
+    });
+
+    it('re-creates an edge whose endpoints changed', () => {
+        const graph = new Graph();
+        const { next } = sync(graph, { ...data, edges: [{ key: 'e', source: 'a', target: 'b' }] });
+
+        sync(graph, { ...data, edges: [{ key: 'e', source: 'b', target: 'a' }] }, next);
+
+        expect(graph.source('e')).toBe('b');
+        expect(graph.target('e')).toBe('a');
+    });
+
+    it('adds undirected edges for undirected data', () => {
+        const graph = new Graph({ type: 'undirected' });
+        sync(graph, { ...data, options: { type: 'undirected' } });
+
+        expect(graph.isUndirected('a->b')).toBe(true);
+    });
+});